@@ -0,0 +1,325 @@
+/**
+ * @add绑定模块 - 管理单个@add命令在页面上的装饰元素
+ * 负责：按 @media / @container / @supports 条件创建和移除装饰元素，监听条件变化，
+ *      实时模式下为后续出现的匹配元素（如新消息）补充装饰
+ * 说明：绑定由 CSSProcessor 创建，注册到 CoreModule，clearAll 时统一销毁
+ */
+
+let probeCounter = 0;
+
+export class AddBinding {
+  constructor(command, processor) {
+    this.command = command;
+    this.processor = processor;
+    this.core = processor.core;
+    this.logger = processor.logger.child('AddBinding');
+
+    // 宿主元素 -> 装饰元素
+    this.decorations = new Map();
+
+    // 条件
+    this.mediaQueries = [];
+    this.supported = true;
+    this.probeProperty = null;
+    this.probeStyleId = null;
+    this.resizeObserver = null;
+
+    // 销毁时执行的清理函数
+    this.disposers = [];
+    this.refreshScheduled = false;
+    this.suspended = false;
+    this.disposed = false;
+  }
+
+  /**
+   * 启动绑定：建立条件监听并执行首次刷新
+   */
+  start() {
+    this.setupWatchers();
+    this.refresh();
+  }
+
+  /**
+   * 建立条件监听与实时跟踪
+   */
+  setupWatchers() {
+    this.setupConditions();
+
+    // 默认实时跟踪新增元素，命令带 once 参数时只在处理时执行一次
+    if (this.command.live !== false) {
+      this.core.watchLive(this);
+      this.disposers.push(() => this.core.unwatchLive(this));
+    }
+  }
+
+  /**
+   * 停止全部监听并重置条件状态（不移除装饰元素）
+   */
+  teardownWatchers() {
+    this.disposers.forEach(dispose => {
+      try {
+        dispose();
+      } catch (e) {
+        this.logger.warn('清理监听失败:', e);
+      }
+    });
+    this.disposers = [];
+
+    this.mediaQueries = [];
+    this.supported = true;
+    this.probeProperty = null;
+    this.probeStyleId = null;
+    this.resizeObserver = null;
+  }
+
+  /**
+   * 用变化后的命令原地更新绑定
+   * 条件或实时模式变化时重建监听，已有装饰元素原地更新
+   * @param {Object} command - 新命令
+   */
+  update(command) {
+    const previous = this.command;
+    this.command = command;
+
+    const watchChanged = JSON.stringify(previous.conditions) !== JSON.stringify(command.conditions) ||
+      previous.selector !== command.selector ||
+      previous.live !== command.live;
+
+    if (watchChanged) {
+      this.teardownWatchers();
+      this.setupWatchers();
+    }
+
+    if (previous.insert !== command.insert) {
+      // 插入位置变化，移除后由 refresh 按新位置重新创建
+      Array.from(this.decorations.keys()).forEach(host => this.removeDecoration(host));
+    } else {
+      this.decorations.forEach((element, host) => {
+        this.decorations.set(host, this.processor.updateAddElement(command, element));
+      });
+    }
+
+    this.refresh();
+  }
+
+  /**
+   * 根据命令所在的条件规则建立监听
+   */
+  setupConditions() {
+    const conditions = this.command.conditions || [];
+    const containers = [];
+
+    conditions.forEach(condition => {
+      switch (condition.name) {
+        case 'media':
+          this.watchMedia(condition.prelude);
+          break;
+        case 'container':
+          containers.push(condition.prelude);
+          break;
+        case 'supports':
+          // @supports 条件在页面生命周期内不会变化，只判断一次
+          if (window.CSS && CSS.supports && !CSS.supports(condition.prelude)) {
+            this.supported = false;
+          }
+          break;
+      }
+    });
+
+    if (containers.length > 0) {
+      this.watchContainers(containers);
+    }
+  }
+
+  /**
+   * 监听媒体查询
+   * @param {string} query - 媒体查询条件
+   */
+  watchMedia(query) {
+    const mql = window.matchMedia(query);
+    const handler = () => this.scheduleRefresh();
+
+    if (mql.addEventListener) {
+      mql.addEventListener('change', handler);
+      this.disposers.push(() => mql.removeEventListener('change', handler));
+    } else {
+      // 旧版浏览器
+      mql.addListener(handler);
+      this.disposers.push(() => mql.removeListener(handler));
+    }
+
+    this.mediaQueries.push(mql);
+  }
+
+  /**
+   * 监听容器查询
+   * 浏览器没有容器查询的JS接口，这里注入探针规则：条件成立时宿主元素会获得一个自定义属性，
+   * 再通过 ResizeObserver 在容器尺寸变化时重新检查。
+   * 探针属性注册为不继承，否则嵌套在另一个匹配宿主中的宿主会从外层得到 1
+   * @param {Array} preludes - 容器查询条件（由外到内）
+   */
+  watchContainers(preludes) {
+    const id = ++probeCounter;
+    this.probeProperty = `--enhanced-add-probe-${id}`;
+    this.probeStyleId = `enhanced-add-probe-${id}`;
+
+    let probeCSS = `${this.command.selector} { ${this.probeProperty}: 1; }`;
+    for (let i = preludes.length - 1; i >= 0; i--) {
+      probeCSS = `@container ${preludes[i]} { ${probeCSS} }`;
+    }
+    probeCSS = `@property ${this.probeProperty} { syntax: '*'; inherits: false; }\n${probeCSS}`;
+    this.core.applyCSS(probeCSS, this.probeStyleId);
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(() => this.scheduleRefresh());
+      this.disposers.push(() => this.resizeObserver.disconnect());
+    }
+
+    const onResize = () => this.scheduleRefresh();
+    window.addEventListener('resize', onResize);
+    this.disposers.push(() => window.removeEventListener('resize', onResize));
+    this.disposers.push(() => this.core.removeCSS(this.probeStyleId));
+  }
+
+  /**
+   * 媒体与 @supports 条件是否满足
+   */
+  matchesGlobalConditions() {
+    return this.supported && this.mediaQueries.every(mql => mql.matches);
+  }
+
+  /**
+   * 宿主元素的容器查询条件是否满足
+   * @param {Element} host - 宿主元素
+   */
+  matchesContainer(host) {
+    if (!this.probeProperty) return true;
+
+    this.observeContainers(host);
+    return getComputedStyle(host).getPropertyValue(this.probeProperty).trim() === '1';
+  }
+
+  /**
+   * 观察宿主元素所在的查询容器
+   */
+  observeContainers(host) {
+    if (!this.resizeObserver) return;
+
+    let node = host.parentElement;
+    while (node) {
+      const containerType = getComputedStyle(node).containerType;
+      if (containerType && containerType !== 'normal') {
+        this.resizeObserver.observe(node);
+      }
+      node = node.parentElement;
+    }
+  }
+
+  /**
+   * 合并同一帧内的多次刷新请求
+   */
+  scheduleRefresh() {
+    if (this.refreshScheduled || this.disposed) return;
+    this.refreshScheduled = true;
+
+    requestAnimationFrame(() => {
+      this.refreshScheduled = false;
+      if (!this.disposed) this.refresh();
+    });
+  }
+
+  /**
+   * 暂停或恢复绑定：暂停期间移除全部装饰元素，监听保持不变
+   * @param {boolean} suspended - 是否暂停
+   */
+  setSuspended(suspended) {
+    if (this.suspended === suspended) return;
+    this.suspended = suspended;
+    this.refresh();
+  }
+
+  /**
+   * 按当前条件同步装饰元素：满足条件的宿主添加，不满足的移除
+   */
+  refresh() {
+    const wanted = new Set();
+
+    if (!this.suspended && this.matchesGlobalConditions()) {
+      let hosts = [];
+      try {
+        hosts = document.querySelectorAll(this.command.selector);
+      } catch (e) {
+        this.logger.warn('无效的选择器:', this.command.selector);
+      }
+
+      hosts.forEach(host => {
+        if (this.matchesContainer(host)) {
+          wanted.add(host);
+        }
+      });
+
+      // 包裹/替换后宿主可能不再匹配选择器（已被移入装饰元素或移出页面），仍视为有效
+      this.decorations.forEach((element, host) => {
+        if (this.isHeldByDecoration(host, element)) {
+          wanted.add(host);
+        }
+      });
+    }
+
+    // 移除不再满足条件的装饰
+    this.decorations.forEach((element, host) => {
+      if (!wanted.has(host)) {
+        this.removeDecoration(host);
+      }
+    });
+
+    // 添加新满足条件的装饰（装饰被宿主重新渲染冲掉时重新创建）
+    wanted.forEach(host => {
+      const existing = this.decorations.get(host);
+      if (existing && !existing.isConnected) {
+        this.removeDecoration(host);
+      }
+      if (!this.decorations.has(host)) {
+        this.decorations.set(host, this.processor.createAddElement(this.command, host));
+      }
+    });
+  }
+
+  /**
+   * 宿主是否正被装饰元素包裹或替换
+   */
+  isHeldByDecoration(host, element) {
+    if (!element.isConnected) return false;
+
+    switch (this.command.insert) {
+      case 'wrap':
+        return element.contains(host);
+      case 'replace':
+        return !host.isConnected;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 移除某个宿主上的装饰元素（包裹/替换的宿主会被还原）
+   */
+  removeDecoration(host) {
+    const element = this.decorations.get(host);
+    if (element) {
+      this.core.removeElement(element);
+    }
+    this.decorations.delete(host);
+  }
+
+  /**
+   * 销毁绑定：移除所有监听和装饰元素
+   */
+  dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+
+    this.teardownWatchers();
+    Array.from(this.decorations.keys()).forEach(host => this.removeDecoration(host));
+  }
+}
@@ -4,15 +4,30 @@
  * 9.4修复：增强清理机制，防止CSS残留
  */
 
+import { ScriptSandbox } from './sandbox.js';
+import { ResourceTracker } from './resourceTracker.js';
+import { ModuleLoader } from './moduleLoader.js';
+import { Logger } from './logger.js';
+
 export class CoreModule {
-    constructor(storage) {
+    constructor(storage, logger = new Logger()) {
         this.storage = storage;
+        this.logger = logger.child('CoreModule');
+        this.logStore = logger.store; // 日志控制台的数据源
+        this.toastEnabled = true; // 出错时是否弹出提示
         
         // 存储已添加的内容，用于清理
         this.addedElements = new Set();
         this.addedStyles = new Map(); // key: id, value: style element
+        this.styleRules = new Map(); // key: 样式id, value: 增量更新时样式表中的规则 [{text, inserted}]
         this.addedClasses = new Map(); // key: selector, value: Set of classNames
         this.modifiedElements = new Map(); // 记录被修改过的元素原始状态
+        this.addBindings = new Map(); // key: 命令标识, value: @add命令绑定（含媒体/容器查询监听）
+        this.liveBindings = new Set(); // 需要跟踪新增元素的@add绑定
+        this.liveObserver = null; // 所有实时绑定共享的DOM观察器
+        this.insertions = new Map(); // key: 装饰元素, value: {mode, host} 插入方式与宿主
+        this.sandbox = new ScriptSandbox(this); // 沙箱模式下的脚本执行环境
+        this.scriptResources = new Map(); // key: 脚本作用域, value: 该次执行的资源追踪器
         
         // 调试模式
         this.debugMode = false;
@@ -24,6 +39,9 @@ export class CoreModule {
         this.elementIdCounter = 0;
         this.EXTENSION_MARKER = 'data-enhanced-css-element';
         this.EXTENSION_ID = 'data-enhanced-css-id';
+        
+        // 事件监听器（scriptError 等）
+        this.listeners = new Map();
     }
     
     /**
@@ -35,7 +53,7 @@ export class CoreModule {
         // 启动时先清理可能存在的旧元素
         this.cleanupOrphanElements();
         
-        console.log('[CoreModule] 核心模块初始化完成');
+        this.logger.info('核心模块初始化完成');
     }
     
     /**
@@ -55,7 +73,7 @@ export class CoreModule {
         });
         
         if (cleaned > 0) {
-            console.log(`[CoreModule] 清理了 ${cleaned} 个孤立元素`);
+            this.logger.info(`清理了 ${cleaned} 个孤立元素`);
         }
         
         // 清理孤立的样式标签
@@ -130,9 +148,7 @@ export class CoreModule {
         element.setAttribute(this.EXTENSION_ID, elementId);
         this.addedElements.add(element);
         
-        if (this.debugMode) {
-            console.log('[CoreModule] 创建元素:', tag, elementId, options);
-        }
+        this.logger.debug('创建元素:', tag, elementId, options);
         
         return element;
     }
@@ -146,28 +162,83 @@ export class CoreModule {
             : parentSelector;
         
         if (!parent) {
-            console.warn('[CoreModule] 父元素不存在:', parentSelector);
+            this.logger.warn('父元素不存在:', parentSelector);
             return null;
         }
         
-        // 记录父元素的原始状态（如果还没记录过）
-        if (!this.modifiedElements.has(parent)) {
-            this.modifiedElements.set(parent, {
-                originalPosition: parent.style.position || ''
-            });
-        }
-        
         // 确保父元素有相对定位（如果子元素需要绝对定位）
         if (options.style && (options.style.position === 'absolute' || options.style.position === 'fixed')) {
-            const computedStyle = getComputedStyle(parent);
-            if (computedStyle.position === 'static') {
-                parent.style.position = 'relative';
-            }
+            this.ensureRelativePosition(parent);
         }
         
         return this.createElement(tag, { ...options, parent });
     }
     
+    /**
+     * 确保元素有相对定位，并记录原始position以便清理时恢复
+     */
+    ensureRelativePosition(element) {
+        // 记录元素的原始状态（如果还没记录过）
+        const state = this.modifiedElements.get(element) || {};
+        if (state.originalPosition === undefined) {
+            state.originalPosition = element.style.position || '';
+            this.modifiedElements.set(element, state);
+        }
+        
+        if (getComputedStyle(element).position === 'static') {
+            element.style.position = 'relative';
+        }
+    }
+    
+    /**
+     * 记录装饰元素的插入方式与宿主
+     * @param {Element} element - 装饰元素
+     * @param {string} mode - append/prepend/before/after/wrap/replace
+     * @param {Element} host - 宿主元素
+     */
+    trackInsertion(element, mode, host) {
+        this.insertions.set(element, { mode: mode || 'append', host });
+    }
+    
+    /**
+     * 获取装饰元素的宿主
+     */
+    getInsertionHost(element) {
+        const info = this.insertions.get(element);
+        return info ? info.host : null;
+    }
+    
+    /**
+     * 停止追踪元素（不从页面移除）
+     */
+    untrackElement(element) {
+        this.addedElements.delete(element);
+        this.insertions.delete(element);
+    }
+    
+    /**
+     * 还原包裹/替换造成的DOM变化：宿主放回装饰元素所在位置
+     */
+    restoreInsertion(element) {
+        const info = this.insertions.get(element);
+        if (!info || !info.host) return;
+        
+        if (info.mode === 'wrap' && element.contains(info.host)) {
+            element.replaceWith(info.host);
+        } else if (info.mode === 'replace' && element.isConnected && !info.host.isConnected) {
+            element.replaceWith(info.host);
+        }
+    }
+    
+    /**
+     * 移除扩展创建的元素，必要时先还原宿主
+     */
+    removeElement(element) {
+        this.restoreInsertion(element);
+        element.remove();
+        this.untrackElement(element);
+    }
+    
     /**
      * 添加类名到元素
      */
@@ -194,20 +265,27 @@ export class CoreModule {
             });
         });
         
-        if (this.debugMode) {
-            console.log(`[CoreModule] 添加类名 "${className}" 到 ${elements.length} 个元素`);
-        }
+        this.logger.debug(`添加类名 "${className}" 到 ${elements.length} 个元素`);
     }
     
     /**
      * 应用CSS样式
+     * 已存在相同ID且仍在页面中的样式会原地替换内容，保持其在 head 中的位置
      */
     applyCSS(css, id = null) {
         try {
             // 生成唯一ID
             const styleId = id || `enhanced-style-${Date.now()}-${this.elementIdCounter++}`;
+            this.styleRules.delete(styleId);
+            
+            const current = this.addedStyles.get(styleId);
+            if (current && current.isConnected) {
+                current.textContent = css;
+                this.logger.debug('CSS已更新', styleId);
+                return;
+            }
             
-            // 如果已存在相同ID的样式，先移除
+            // 已被移出页面的旧样式，先移除记录
             if (this.addedStyles.has(styleId)) {
                 const oldStyle = this.addedStyles.get(styleId);
                 if (oldStyle && oldStyle.parentNode) {
@@ -229,47 +307,522 @@ export class CoreModule {
             // 记录样式元素
             this.addedStyles.set(styleId, style);
             
-            if (this.debugMode) {
-                console.log('[CoreModule] CSS应用成功', styleId);
+            this.logger.debug('CSS应用成功', styleId);
+        } catch (error) {
+            this.logger.error('CSS应用失败:', error);
+        }
+    }
+    
+    /**
+     * 按规则增量应用CSS：与上次应用的规则列表对比，只删除和插入变化的部分，
+     * 样式元素和未变化的规则保持不动，避免整表重算造成的闪烁
+     * 插入失败（浏览器无法单独解析某条规则）时退回为整体替换文本
+     * @param {Array<string>} rules - 顶层规则文本（见 CSSProcessor.process 的 rules）
+     * @param {string} id - 样式ID
+     * @param {Object} diff - Worker 已算好的变化范围 {prefix, suffix}（可选，必须是相对上次应用的规则）
+     * @returns {Object} {mode: 'rules' | 'text', inserted, deleted}
+     */
+    applyCSSRules(rules, id, diff = null) {
+        const css = rules.join('\n');
+        let style = this.addedStyles.get(id);
+        let previous = this.styleRules.get(id);
+        
+        if (!style || !style.isConnected || !style.sheet) {
+            this.applyCSS('', id);
+            style = this.addedStyles.get(id);
+            previous = null;
+        }
+        
+        let sheet = style && style.sheet;
+        if (!sheet) {
+            this.applyCSS(css, id);
+            return { mode: 'text', inserted: 0, deleted: 0 };
+        }
+        
+        // 样式元素被移动过时浏览器会按文本重建样式表，插入的规则随之丢失
+        if (previous && sheet.cssRules.length !== previous.filter(rule => rule.inserted).length) {
+            previous = null;
+        }
+        
+        // 没有上次的规则记录（首次或上次退回了文本模式）时清空后全部插入
+        if (!previous) {
+            style.textContent = '';
+            previous = [];
+            // 修改文本后浏览器会换成新的样式表对象
+            sheet = style.sheet;
+            if (!sheet) {
+                this.applyCSS(css, id);
+                return { mode: 'text', inserted: 0, deleted: 0 };
+            }
+        }
+        
+        // 相同的前缀和后缀保留，只替换中间变化的部分
+        let prefix = 0;
+        let suffix = 0;
+        if (diff && diff.prefix + diff.suffix <= Math.min(previous.length, rules.length)) {
+            ({ prefix, suffix } = diff);
+        } else {
+            while (prefix < previous.length && prefix < rules.length && previous[prefix].text === rules[prefix]) {
+                prefix++;
+            }
+            while (suffix < previous.length - prefix && suffix < rules.length - prefix &&
+                previous[previous.length - 1 - suffix].text === rules[rules.length - 1 - suffix]) {
+                suffix++;
             }
+        }
+        
+        // 规则在样式表中的下标 = 之前成功插入的规则数
+        const sheetIndex = (list, end) => list.slice(0, end).filter(rule => rule.inserted).length;
+        
+        try {
+            let deleted = 0;
+            for (let i = previous.length - suffix - 1; i >= prefix; i--) {
+                if (previous[i].inserted) {
+                    sheet.deleteRule(sheetIndex(previous, i));
+                    deleted++;
+                }
+            }
+            
+            let index = sheetIndex(previous, prefix);
+            const changed = rules.slice(prefix, rules.length - suffix).map(text => {
+                sheet.insertRule(text, index++);
+                return { text, inserted: true };
+            });
+            
+            this.styleRules.set(id, [
+                ...previous.slice(0, prefix),
+                ...changed,
+                ...previous.slice(previous.length - suffix)
+            ]);
+            
+            this.logger.debug(`CSS增量更新 (${id})：删除 ${deleted}，插入 ${changed.length}，保留 ${prefix + suffix}`);
+            return { mode: 'rules', inserted: changed.length, deleted };
         } catch (error) {
-            console.error('[CoreModule] CSS应用失败:', error);
+            this.logger.debug(`规则无法单独插入，改为整体替换 (${id}):`, error.message);
+            this.applyCSS(css, id);
+            return { mode: 'text', inserted: 0, deleted: 0 };
+        }
+    }
+    
+    /**
+     * 暂停或恢复指定ID的样式（样式元素和规则保留在页面中）
+     */
+    setCSSEnabled(id, enabled) {
+        const style = this.addedStyles.get(id);
+        if (!style) return;
+        
+        // 使用 media 属性而不是 disabled，替换文本后新的样式表仍保持暂停
+        if (enabled) {
+            style.removeAttribute('media');
+        } else {
+            style.setAttribute('media', 'not all');
+        }
+    }
+    
+    /**
+     * 把样式原地改为另一个ID（目标ID原有的样式被移除），规则记录一并转移
+     */
+    moveCSS(from, to) {
+        const style = this.addedStyles.get(from);
+        if (!style) return;
+        
+        this.removeCSS(to);
+        style.id = to;
+        style.setAttribute('data-style-id', to);
+        this.addedStyles.delete(from);
+        this.addedStyles.set(to, style);
+        
+        if (this.styleRules.has(from)) {
+            this.styleRules.set(to, this.styleRules.get(from));
+            this.styleRules.delete(from);
+        }
+    }
+    
+    /**
+     * 移除指定ID的样式
+     */
+    removeCSS(id) {
+        const style = this.addedStyles.get(id);
+        if (style && style.parentNode) {
+            style.parentNode.removeChild(style);
+        }
+        this.addedStyles.delete(id);
+        this.styleRules.delete(id);
+    }
+    
+    /**
+     * 注册@add命令绑定，clearAll时统一销毁
+     */
+    registerBinding(key, binding) {
+        this.removeBinding(key);
+        this.addBindings.set(key, binding);
+    }
+    
+    /**
+     * 销毁并移除指定标识的@add命令绑定
+     */
+    removeBinding(key) {
+        const binding = this.addBindings.get(key);
+        if (binding) {
+            binding.dispose();
+            this.addBindings.delete(key);
+        }
+    }
+    
+    /**
+     * 让绑定实时跟踪DOM变化（新消息等），所有绑定共享一个观察器
+     */
+    watchLive(binding) {
+        this.liveBindings.add(binding);
+        
+        if (!this.liveObserver) {
+            this.liveObserver = new MutationObserver((mutations) => this.handleLiveMutations(mutations));
+            this.liveObserver.observe(document.body, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                attributeFilter: ['class', 'id']
+            });
+        }
+    }
+    
+    /**
+     * 停止绑定的实时跟踪，没有绑定时断开观察器
+     */
+    unwatchLive(binding) {
+        this.liveBindings.delete(binding);
+        
+        if (this.liveBindings.size === 0 && this.liveObserver) {
+            this.liveObserver.disconnect();
+            this.liveObserver = null;
         }
     }
     
+    /**
+     * 处理DOM变化，忽略扩展自身元素引起的变化
+     */
+    handleLiveMutations(mutations) {
+        const isOwnNode = (node) => node.nodeType === 1 && node.hasAttribute(this.EXTENSION_MARKER);
+        
+        const relevant = mutations.some(mutation => {
+            if (mutation.type === 'attributes') {
+                return !isOwnNode(mutation.target);
+            }
+            const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+            return nodes.some(node => !isOwnNode(node));
+        });
+        
+        if (!relevant) return;
+        
+        this.liveBindings.forEach(binding => binding.scheduleRefresh());
+    }
+    
     /**
      * 执行JavaScript代码
+     * @param {string} code - 代码
+     * @param {Object} options - 同 executeScripts
+     */
+    executeScript(code, options = {}) {
+        this.executeScripts([{ index: 0, kind: 'classic', name: null, content: code }], options);
+    }
+    
+    /**
+     * 执行脚本块
+     * 同一作用域的上一次执行创建的定时器、监听和观察器会先被释放；
+     * 每个脚本块单独执行，一个块出错（包括语法错误）不影响其他块，错误通过 scriptError 事件报告
+     * @param {Array} scripts - CSSProcessor.extractJavaScript 返回的脚本块
+     * @param {Object} options - {sandbox: 是否在沙箱中执行, themeName: 所属主题, scope: 作用域}
+     */
+    executeScripts(scripts, options = {}) {
+        const scope = options.scope || 'main';
+        this.disposeScript(scope);
+        
+        if (!scripts || scripts.length === 0) return;
+        
+        if (options.sandbox) {
+            // 沙箱模式：只能通过受限的 EnhancedCSS 接口操作页面
+            this.sandbox.run(scripts, { themeName: options.themeName, scope });
+            return;
+        }
+        
+        const tracker = new ResourceTracker(this);
+        this.scriptResources.set(scope, tracker);
+        
+        // 在执行前标记，防止执行过程中的元素不被追踪
+        const executionId = `execution-${Date.now()}`;
+        
+        // 注入脚本作用域的变量（定时器、观察器等使用追踪器包装后的版本，window/document 为真实对象）
+        const context = {
+            document,
+            window,
+            EnhancedCSS: tracker.createAPI(window.EnhancedCSS),
+            executionId,
+            ...tracker.globals
+        };
+        
+        scripts.filter(block => block.kind !== 'module').forEach(block => {
+            this.runScriptBlock(block, context, tracker);
+        });
+        
+        const modules = scripts.filter(block => block.kind === 'module');
+        if (modules.length > 0) {
+            const loader = new ModuleLoader(`${scope}-${executionId}`, context, modules);
+            tracker.cleanups.push(() => loader.dispose());
+            this.runModules(modules, loader, tracker);
+        }
+    }
+    
+    /**
+     * 执行普通或 async 脚本块，返回值可以是生命周期钩子对象
      */
-    executeScript(code) {
+    runScriptBlock(block, context, tracker) {
+        const names = Object.keys(context);
+        const values = Object.values(context);
+        
+        // sourceURL 让堆栈中出现可识别的文件名，用于把错误行号映射回输入框
+        const body = `'use strict';\n${block.content}\n//# sourceURL=${this.getScriptSourceURL(block)}`;
+        
         try {
-            // 在执行前标记，防止执行过程中的元素不被追踪
-            const executionId = `execution-${Date.now()}`;
+            if (block.kind === 'async') {
+                // async 脚本支持顶层 await
+                const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+                // 第一个 await 之前的部分在 run 中同步执行，其中添加的监听会被登记
+                // 结果返回前可能已重新执行或清理，此时结果和错误都属于旧内容，直接丢弃
+                tracker.run(() => new AsyncFunction(...names, body)(...values))
+                    .then(exports => {
+                        if (!tracker.disposed) tracker.registerExports(exports);
+                    })
+                    .catch(error => {
+                        if (!tracker.disposed) this.reportScriptError(block, error);
+                    });
+            } else {
+                const safeExecute = new Function(...names, body);
+                tracker.registerExports(tracker.run(() => safeExecute(...values)));
+            }
             
-            // 创建安全的执行环境
-            const safeExecute = new Function(
-                'document', 
-                'window', 
-                'EnhancedCSS',
-                'executionId',
-                `'use strict';\n${code}`
-            );
+            this.logger.debug('JavaScript执行成功', tracker.getStats());
+        } catch (error) {
+            this.reportScriptError(block, error);
+        }
+    }
+    
+    /**
+     * 按顺序加载模块块，模块导出的 onMount 等函数作为生命周期钩子；
+     * 全部加载后释放 blob URL，不必等到下一次执行
+     */
+    async runModules(modules, loader, tracker) {
+        for (const block of modules) {
+            if (tracker.disposed) return;
             
-            // 执行代码
-            safeExecute(document, window, window.EnhancedCSS, executionId);
+            try {
+                const exports = await loader.load(block);
+                if (tracker.disposed) return;
+                tracker.registerExports(exports);
+            } catch (error) {
+                if (tracker.disposed) return;
+                this.reportScriptError(block, error, loader);
+            }
+        }
+        
+        if (!tracker.disposed) loader.revokeURLs();
+    }
+    
+    /**
+     * 脚本块在堆栈中显示的文件名
+     */
+    getScriptSourceURL(block) {
+        // 代码片段的脚本带上作用域，避免与主题脚本同名
+        const prefix = block.scope && block.scope !== 'main' ? `${block.scope}-` : '';
+        return `enhanced-css-${prefix}script-${block.index + 1}.js`;
+    }
+    
+    /**
+     * new Function 在函数体前生成的行数（各浏览器不同，首次使用时探测）
+     */
+    getFunctionLineOffset() {
+        if (this.functionLineOffset === undefined) {
+            this.functionLineOffset = 2;
+            try {
+                new Function(`'use strict';\nthrow new Error('probe');\n//# sourceURL=enhanced-css-probe.js`)();
+            } catch (error) {
+                const match = String(error.stack).match(/enhanced-css-probe\.js:(\d+)/);
+                if (match) {
+                    // throw 位于函数体第2行，对应用户代码第1行
+                    this.functionLineOffset = Number(match[1]) - 1;
+                }
+            }
+        }
+        return this.functionLineOffset;
+    }
+    
+    /**
+     * 从错误堆栈中找出脚本块内的行列号（从1开始）
+     * @returns {Object|null} {line, column}
+     */
+    locateScriptError(block, error, loader) {
+        const stack = String(error && error.stack || '');
+        const names = [this.getScriptSourceURL(block)];
+        const moduleURL = loader && loader.urls.get(block);
+        if (moduleURL) names.push(moduleURL);
+        
+        for (const name of names) {
+            const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const match = stack.match(new RegExp(`${escaped}:(\\d+):(\\d+)`));
+            if (!match) continue;
+            
+            let line = Number(match[1]);
+            let column = Number(match[2]);
             
-            if (this.debugMode) {
-                console.log('[CoreModule] JavaScript执行成功');
+            if (block.kind === 'module') {
+                // 模块第一行前注入了变量声明
+                if (line === 1 && loader) column -= loader.preludeLength;
+            } else {
+                line -= this.getFunctionLineOffset();
+            }
+            
+            if (line >= 1) {
+                return { line, column: Math.max(1, column) };
+            }
+        }
+        
+        // Firefox 的语法错误带有行列号属性
+        if (error && typeof error.lineNumber === 'number' && block.kind !== 'module') {
+            const line = error.lineNumber - this.getFunctionLineOffset();
+            if (line >= 1) {
+                return { line, column: Math.max(1, (error.columnNumber || 0) + 1) };
             }
-        } catch (error) {
-            console.error('[CoreModule] JavaScript执行失败:', error);
-            this.showError(error.message);
         }
+        
+        return null;
+    }
+    
+    /**
+     * 报告脚本块的错误：映射到输入框中的位置，触发 scriptError 事件并显示提示
+     * @param {Object|null} block - 出错的脚本块（无法确定时为 null）
+     * @param {Error|Object} error - 错误
+     * @param {ModuleLoader} loader - 模块块的加载器
+     */
+    reportScriptError(block, error, loader = null) {
+        const label = block ? (block.name || `脚本 #${block.index + 1}`) : '脚本';
+        const message = error && error.message ? error.message : String(error);
+        this.logger.error(`JavaScript执行失败 (${label}):`, error);
+        
+        const entry = { index: block ? block.index : null, scope: block && block.scope || 'main', label, message, offset: null };
+        
+        if (block && typeof block.contentStart === 'number') {
+            const location = this.locateScriptError(block, error, loader);
+            const lines = block.content.split('\n');
+            const line = location ? Math.min(location.line, lines.length) : 1;
+            
+            let offset = block.contentStart;
+            for (let i = 0; i < line - 1; i++) {
+                offset += lines[i].length + 1;
+            }
+            if (location) {
+                offset += Math.min(location.column - 1, lines[line - 1].length);
+            }
+            
+            entry.offset = offset;
+            entry.located = !!location;
+        }
+        
+        this.emit('scriptError', entry);
+        this.showError(`${label}: ${message}`);
+    }
+    
+    /**
+     * 释放某个作用域上一次脚本执行创建的资源
+     * @param {string} scope - 作用域
+     */
+    disposeScript(scope = 'main') {
+        this.sandbox.dispose(scope);
+        
+        const tracker = this.scriptResources.get(scope);
+        if (tracker) {
+            if (tracker.mounted) {
+                tracker.runHook('unmount');
+            }
+            tracker.dispose();
+            this.scriptResources.delete(scope);
+        }
+    }
+    
+    /**
+     * 把某个作用域正在运行的脚本转移到另一个作用域（目标作用域原有的执行先被释放），
+     * 脚本不会重新执行或重新 mount
+     * @param {string} from - 原作用域
+     * @param {string} to - 目标作用域
+     */
+    moveScriptScope(from, to) {
+        this.disposeScript(to);
+        this.sandbox.move(from, to);
+        
+        const tracker = this.scriptResources.get(from);
+        if (tracker) {
+            this.scriptResources.delete(from);
+            this.scriptResources.set(to, tracker);
+        }
+    }
+    
+    /**
+     * 释放全部脚本资源
+     */
+    disposeAllScripts() {
+        this.sandbox.disposeAll();
+        this.scriptResources.forEach(tracker => {
+            if (tracker.mounted) {
+                tracker.runHook('unmount');
+            }
+            tracker.dispose();
+        });
+        this.scriptResources.clear();
+    }
+    
+    /**
+     * 触发脚本的 mount 钩子（CSS和@add装饰应用完成后调用，每次执行只触发一次）
+     */
+    mountScripts() {
+        this.scriptResources.forEach(tracker => {
+            if (!tracker.mounted) {
+                tracker.mounted = true;
+                tracker.runHook('mount');
+            }
+        });
+    }
+    
+    /**
+     * 通知脚本主题已切换（在清理旧主题内容之前调用）
+     * @param {string} oldTheme - 旧主题
+     * @param {string} newTheme - 新主题
+     */
+    notifyThemeChange(oldTheme, newTheme) {
+        this.scriptResources.forEach(tracker => tracker.runHook('themeChange', { oldTheme, newTheme }));
+    }
+    
+    /**
+     * 扩展被禁用或卸载：先触发 disable 钩子，再卸载全部脚本
+     */
+    disableScripts() {
+        this.scriptResources.forEach(tracker => tracker.runHook('disable'));
+        this.disposeAllScripts();
     }
     
     /**
      * 显示错误提示
+     * 错误会记录到日志控制台，弹窗提示可在设置中关闭，点击弹窗可查看对应日志
      */
     showError(message) {
+        let entry = null;
+        if (this.logStore) {
+            // 出错处通常刚刚记录过错误日志，直接关联那条日志，否则单独记录
+            const last = this.logStore.entries[this.logStore.entries.length - 1];
+            entry = last && last.level === 'error' && Date.now() - last.time < 1000
+                ? last
+                : this.logStore.add('error', 'CoreModule', message);
+        }
+        
+        if (!this.toastEnabled) return;
+        
         const errorDiv = this.createElement('div', {
             style: {
                 position: 'fixed',
@@ -287,6 +840,12 @@ export class CoreModule {
             text: `Enhanced CSS Error: ${message}`
         });
         
+        if (entry) {
+            errorDiv.style.cursor = 'pointer';
+            errorDiv.title = '点击查看日志';
+            errorDiv.addEventListener('click', () => this.emit('showLog', entry.id));
+        }
+        
         document.body.appendChild(errorDiv);
         
         // 5秒后移除
@@ -304,14 +863,42 @@ export class CoreModule {
      */
     clearAll() {
         if (this.isClearing) {
-            console.log('[CoreModule] 清理已在进行中，跳过');
+            this.logger.info('清理已在进行中，跳过');
             return;
         }
         
         this.isClearing = true;
         
         try {
-            console.log('[CoreModule] 开始深度清理...');
+            this.logger.info('开始深度清理...');
+            
+            // 0. 销毁@add绑定（停止媒体/容器查询监听）
+            this.addBindings.forEach(binding => {
+                try {
+                    binding.dispose();
+                } catch (e) {
+                    this.logger.warn('销毁绑定失败:', e);
+                }
+            });
+            this.addBindings.clear();
+            this.liveBindings.clear();
+            if (this.liveObserver) {
+                this.liveObserver.disconnect();
+                this.liveObserver = null;
+            }
+            
+            // 0.05 停止用户脚本创建的定时器、监听和观察器，销毁沙箱
+            this.disposeAllScripts();
+            
+            // 0.1 还原被包裹或替换的宿主元素（必须在移除元素之前）
+            this.insertions.forEach((info, element) => {
+                try {
+                    this.restoreInsertion(element);
+                } catch (e) {
+                    this.logger.warn('还原宿主失败:', e);
+                }
+            });
+            this.insertions.clear();
             
             // 1. 清除追踪的元素
             const elementsToRemove = Array.from(this.addedElements);
@@ -321,7 +908,7 @@ export class CoreModule {
                         el.remove();
                     }
                 } catch (e) {
-                    console.warn('[CoreModule] 清除元素失败:', e);
+                    this.logger.warn('清除元素失败:', e);
                 }
             });
             this.addedElements.clear();
@@ -332,7 +919,7 @@ export class CoreModule {
                 try {
                     el.remove();
                 } catch (e) {
-                    console.warn('[CoreModule] 清除标记元素失败:', e);
+                    this.logger.warn('清除标记元素失败:', e);
                 }
             });
             
@@ -344,10 +931,11 @@ export class CoreModule {
                         style.remove();
                     }
                 } catch (e) {
-                    console.warn('[CoreModule] 清除样式失败:', e);
+                    this.logger.warn('清除样式失败:', e);
                 }
             });
             this.addedStyles.clear();
+            this.styleRules.clear();
             
             // 4. 清除所有带data-enhanced-css属性的样式（包括可能遗漏的）
             const enhancedStyles = document.querySelectorAll('style[data-enhanced-css]');
@@ -355,7 +943,7 @@ export class CoreModule {
                 try {
                     style.remove();
                 } catch (e) {
-                    console.warn('[CoreModule] 清除增强样式失败:', e);
+                    this.logger.warn('清除增强样式失败:', e);
                 }
             });
             
@@ -384,7 +972,7 @@ export class CoreModule {
                         });
                     }
                 } catch (e) {
-                    console.warn('[CoreModule] 恢复元素失败:', e);
+                    this.logger.warn('恢复元素失败:', e);
                 }
             });
             this.modifiedElements.clear();
@@ -399,7 +987,7 @@ export class CoreModule {
                         });
                     });
                 } catch (e) {
-                    console.warn('[CoreModule] 清除类名失败:', e);
+                    this.logger.warn('清除类名失败:', e);
                 }
             });
             this.addedClasses.clear();
@@ -407,17 +995,23 @@ export class CoreModule {
             // 7. 重置计数器
             this.elementIdCounter = 0;
             
-            console.log('[CoreModule] 深度清理完成');
+            this.logger.info('深度清理完成');
             
         } finally {
             this.isClearing = false;
         }
+        
+        this.emit('cleared');
     }
     
     /**
      * 快速清理（只清理元素和样式，不恢复修改）
      */
     quickClear() {
+        // 先还原被包裹或替换的宿主，避免宿主随装饰元素一起被移走
+        this.insertions.forEach((info, element) => this.restoreInsertion(element));
+        this.insertions.clear();
+        
         // 批量移除元素
         const fragment = document.createDocumentFragment();
         
@@ -435,12 +1029,47 @@ export class CoreModule {
             }
         });
         
+        // 停止@add绑定的监听
+        this.addBindings.forEach(binding => binding.dispose());
+        this.addBindings.clear();
+        
+        // 停止用户脚本创建的定时器、监听和观察器
+        this.disposeAllScripts();
+        
         // 清空追踪集合
         this.addedElements.clear();
         this.addedStyles.clear();
+        this.styleRules.clear();
         
-        if (this.debugMode) {
-            console.log('[CoreModule] 快速清理完成');
+        this.logger.debug('快速清理完成');
+    }
+    
+    /**
+     * 监听事件
+     * @param {string} event - 事件名
+     * @param {Function} callback - 回调函数
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+    }
+    
+    /**
+     * 触发事件
+     * @param {string} event - 事件名
+     * @param {*} data - 事件数据
+     */
+    emit(event, data) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    this.logger.error(`事件处理器错误 (${event}):`, error);
+                }
+            });
         }
     }
     
@@ -459,6 +1088,8 @@ export class CoreModule {
             elements: this.addedElements.size,
             styles: this.addedStyles.size,
             classes: this.addedClasses.size,
+            bindings: this.addBindings.size,
+            scripts: this.scriptResources.size,
             modified: this.modifiedElements.size
         };
     }
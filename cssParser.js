@@ -0,0 +1,596 @@
+/**
+ * CSS解析模块 - 将CSS内容切分为词法单元并构建语法树
+ * 负责：词法分析、语法树构建（规则、at规则、声明、注释、脚本、@add指令）、源码位置、语法诊断
+ * 说明：解析过程不修改原文，所有节点都记录 start/end 偏移，便于按区间裁剪原文
+ */
+
+// 单字符标点
+const PUNCTUATION = new Set(['{', '}', '(', ')', '[', ']', ';', ':', ',']);
+
+// 作为指令处理的 at 关键字（以 ; 结束，内部允许成对的花括号）
+const DIRECTIVES = new Set(['add']);
+
+export class CSSParser {
+  /**
+   * 词法分析
+   * @param {string} source - 原始内容
+   * @returns {Array} 词法单元数组 {type, value, start, end}
+   */
+  tokenize(source) {
+    const tokens = [];
+    const length = source.length;
+    let i = 0;
+
+    const push = (type, start, end, extra = {}) => {
+      tokens.push({ type, value: source.slice(start, end), start, end, ...extra });
+    };
+
+    while (i < length) {
+      const ch = source[i];
+      const start = i;
+
+      // 空白
+      if (/\s/.test(ch)) {
+        while (i < length && /\s/.test(source[i])) i++;
+        push('whitespace', start, i);
+        continue;
+      }
+
+      // 注释
+      if (ch === '/' && source[i + 1] === '*') {
+        const close = source.indexOf('*/', i + 2);
+        i = close === -1 ? length : close + 2;
+        push('comment', start, i, { unterminated: close === -1 });
+        continue;
+      }
+
+      // 字符串
+      if (ch === '"' || ch === "'") {
+        i++;
+        let terminated = false;
+        while (i < length) {
+          if (source[i] === '\\') {
+            i += 2;
+            continue;
+          }
+          if (source[i] === ch) {
+            i++;
+            terminated = true;
+            break;
+          }
+          if (source[i] === '\n') break;
+          i++;
+        }
+        push('string', start, Math.min(i, length), { unterminated: !terminated });
+        continue;
+      }
+
+      // <script> 块
+      if (ch === '<' && /^<script[\s>/]/i.test(source.slice(i, i + 8))) {
+        const openEnd = source.indexOf('>', i);
+        // 开始标签还没写完（如正在输入 "<script "）：余下内容都算作未结束的脚本
+        if (openEnd === -1) {
+          i = length;
+          push('script', start, i, {
+            attrs: source.slice(start + 7).trim(),
+            content: '',
+            contentStart: length,
+            unterminated: true
+          });
+          continue;
+        }
+
+        // 只在开始标签之后查找结束标签，保证 i 只会向前移动
+        const contentStart = openEnd + 1;
+        const closeMatch = /<\/script\s*>/i.exec(source.slice(contentStart));
+        const contentEnd = closeMatch ? contentStart + closeMatch.index : length;
+        i = Math.max(start + 1, closeMatch ? contentEnd + closeMatch[0].length : length);
+        push('script', start, i, {
+          attrs: source.slice(start + 7, openEnd).replace(/\/$/, '').trim(),
+          content: source.slice(contentStart, contentEnd),
+          contentStart,
+          unterminated: !closeMatch
+        });
+        continue;
+      }
+
+      // at 关键字
+      if (ch === '@') {
+        i++;
+        while (i < length && /[\w-]/.test(source[i])) i++;
+        push('at-keyword', start, i, { name: source.slice(start + 1, i).toLowerCase() });
+        continue;
+      }
+
+      // 标点
+      if (PUNCTUATION.has(ch)) {
+        i++;
+        push(ch, start, i);
+        continue;
+      }
+
+      // 转义字符（如 .a\:hover）属于单词的一部分
+      if (ch === '\\') {
+        i = Math.min(i + 2, length);
+        push('word', start, i);
+        continue;
+      }
+
+      // 普通单词
+      while (i < length) {
+        const c = source[i];
+        if (/\s/.test(c) || PUNCTUATION.has(c) || c === '"' || c === "'" || c === '@' || c === '\\') break;
+        if (c === '/' && source[i + 1] === '*') break;
+        if (c === '<' && /^<script[\s>/]/i.test(source.slice(i, i + 8))) break;
+        i++;
+      }
+      push('word', start, i);
+
+      // 未加引号的 url(...)：整体作为一个单元，避免 ; 或引号打断
+      if (/url$/i.test(tokens[tokens.length - 1].value) && source[i] === '(') {
+        const rest = source.slice(i + 1);
+        if (!/^\s*["']/.test(rest)) {
+          const close = source.indexOf(')', i);
+          const end = close === -1 ? length : close + 1;
+          const last = tokens.pop();
+          push('url', last.start, end, { unterminated: close === -1 });
+          i = end;
+        }
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * 解析为语法树
+   * @param {string} source - 原始内容
+   * @returns {Object} 样式表节点 {type: 'stylesheet', children, source, ...}
+   */
+  parse(source = '') {
+    const tokens = this.tokenize(source);
+    const state = { source, tokens, index: 0, lineStarts: this.computeLineStarts(source), problems: [] };
+
+    // 词法层面的问题
+    tokens.forEach(token => {
+      if (!token.unterminated) return;
+      const messages = {
+        comment: '注释未闭合，缺少 */',
+        string: '字符串未闭合，缺少引号',
+        script: '<script> 标签未闭合，缺少 </script>',
+        url: 'url( 未闭合，缺少 )'
+      };
+      this.report(state, 'error', messages[token.type], token.start);
+    });
+
+    const children = this.parseBlockContents(state, true);
+    const ast = {
+      type: 'stylesheet',
+      children,
+      start: 0,
+      end: source.length,
+      source,
+      lineStarts: state.lineStarts,
+      diagnostics: []
+    };
+
+    this.walk(ast, (node) => {
+      node.loc = this.locate(state.lineStarts, node.start);
+    });
+
+    ast.diagnostics = state.problems
+      .sort((a, b) => a.offset - b.offset)
+      .map(problem => this.createDiagnostic(ast, problem.severity, problem.message, problem.offset));
+
+    return ast;
+  }
+
+  /**
+   * 记录解析问题
+   */
+  report(state, severity, message, offset) {
+    state.problems.push({ severity, message, offset });
+  }
+
+  /**
+   * 创建诊断信息
+   * @param {Object} ast - 语法树
+   * @param {string} severity - error / warning / info
+   * @param {string} message - 说明
+   * @param {number} offset - 原文偏移量
+   * @returns {Object} {severity, message, line, column, offset, snippet}
+   */
+  createDiagnostic(ast, severity, message, offset) {
+    const lineStarts = ast.lineStarts || this.computeLineStarts(ast.source);
+    const { line, column } = this.locate(lineStarts, offset);
+    const lineEnd = ast.source.indexOf('\n', lineStarts[line - 1]);
+    const snippet = ast.source
+      .slice(lineStarts[line - 1], lineEnd === -1 ? ast.source.length : lineEnd)
+      .trim();
+
+    return {
+      severity,
+      message,
+      line,
+      column,
+      offset,
+      snippet: snippet.length > 80 ? snippet.slice(0, 77) + '...' : snippet
+    };
+  }
+
+  /**
+   * 解析块内容（样式表顶层或 {} 内部）
+   * @param {Object} state - 解析状态
+   * @param {boolean} topLevel - 是否为顶层
+   * @returns {Array} 子节点数组
+   */
+  parseBlockContents(state, topLevel) {
+    const { tokens } = state;
+    const children = [];
+
+    while (state.index < tokens.length) {
+      const token = tokens[state.index];
+
+      if (token.type === 'whitespace' || token.type === ';') {
+        state.index++;
+        continue;
+      }
+
+      if (token.type === 'comment') {
+        children.push({
+          type: 'comment',
+          text: token.value.replace(/^\/\*|\*\/$/g, ''),
+          start: token.start,
+          end: token.end
+        });
+        state.index++;
+        continue;
+      }
+
+      if (token.type === 'script') {
+        children.push({
+          type: 'script',
+          attrs: token.attrs,
+          content: token.content,
+          contentStart: token.contentStart,
+          unterminated: token.unterminated,
+          start: token.start,
+          end: token.end
+        });
+        state.index++;
+        continue;
+      }
+
+      if (token.type === '}') {
+        // 块结束，交给调用方处理
+        if (!topLevel) return children;
+        // 顶层多余的 }，忽略
+        this.report(state, 'error', '多余的 }', token.start);
+        state.index++;
+        continue;
+      }
+
+      if (token.type === 'at-keyword') {
+        children.push(DIRECTIVES.has(token.name)
+          ? this.parseDirective(state)
+          : this.parseAtRule(state));
+        continue;
+      }
+
+      children.push(this.parseRuleOrDeclaration(state, topLevel));
+    }
+
+    return children;
+  }
+
+  /**
+   * 解析指令（如 @add: ...;）
+   * 指令以顶层 ; 结束，也可能直接遇到所在块的 }
+   */
+  parseDirective(state) {
+    const { tokens, source } = state;
+    const keyword = tokens[state.index++];
+    let depth = 0;
+    let end = keyword.end;
+    let valueEnd = keyword.end;
+
+    while (state.index < tokens.length) {
+      const token = tokens[state.index];
+      if (depth === 0 && token.type === ';') {
+        valueEnd = token.start;
+        end = token.end;
+        state.index++;
+        break;
+      }
+      if (depth === 0 && token.type === '}') break;
+      if (token.type === '{' || token.type === '(' || token.type === '[') depth++;
+      if (token.type === '}' || token.type === ')' || token.type === ']') depth--;
+      end = valueEnd = token.end;
+      state.index++;
+    }
+
+    return {
+      type: 'directive',
+      name: keyword.name,
+      value: source.slice(keyword.end, valueEnd).replace(/^\s*:/, '').trim(),
+      valueStart: keyword.end,
+      start: keyword.start,
+      end
+    };
+  }
+
+  /**
+   * 解析 at 规则（@media、@supports、@import 等）
+   */
+  parseAtRule(state) {
+    const { tokens, source } = state;
+    const keyword = tokens[state.index++];
+    const preludeEnd = this.scanPrelude(state);
+    const prelude = this.cleanText(source.slice(keyword.end, preludeEnd.position));
+    const node = {
+      type: 'atrule',
+      name: keyword.name,
+      prelude,
+      children: null,
+      start: keyword.start,
+      end: preludeEnd.position
+    };
+
+    if (preludeEnd.token && preludeEnd.token.type === '{') {
+      node.blockStart = preludeEnd.token.start;
+      state.index++;
+      node.children = this.parseBlockContents(state, false);
+      this.closeBlock(state, node);
+    } else if (preludeEnd.token && preludeEnd.token.type === ';') {
+      node.end = preludeEnd.token.end;
+      state.index++;
+    }
+
+    return node;
+  }
+
+  /**
+   * 解析规则或声明
+   * 遇到 { 视为规则（包括嵌套规则），遇到 ; 或 } 视为声明
+   */
+  parseRuleOrDeclaration(state, topLevel = false) {
+    const { tokens, source } = state;
+    const start = tokens[state.index].start;
+    const preludeEnd = this.scanPrelude(state);
+    const text = source.slice(start, preludeEnd.position);
+
+    if (preludeEnd.token && preludeEnd.token.type === '{') {
+      const node = {
+        type: 'rule',
+        selector: this.cleanText(text),
+        children: [],
+        start,
+        end: preludeEnd.position,
+        blockStart: preludeEnd.token.start
+      };
+      state.index++;
+      node.children = this.parseBlockContents(state, false);
+      this.closeBlock(state, node);
+      return node;
+    }
+
+    let end = preludeEnd.position;
+    if (preludeEnd.token && preludeEnd.token.type === ';') {
+      end = preludeEnd.token.end;
+      state.index++;
+    }
+
+    const declaration = this.createDeclaration(text, start, end);
+    const excerpt = this.cleanText(text).slice(0, 30);
+    if (topLevel) {
+      this.report(state, 'error', `「${excerpt}」不是完整的规则，缺少 { }`, start);
+    } else if (declaration.type === 'raw') {
+      this.report(state, 'warning', `无法识别的内容「${excerpt}」，声明缺少冒号？`, start);
+    } else if (!declaration.value) {
+      this.report(state, 'warning', `属性 ${declaration.property} 缺少值`, start);
+    }
+    return declaration;
+  }
+
+  /**
+   * 扫描前导文本，直到顶层的 {、; 或 }
+   * @returns {Object} {position: 前导结束位置, token: 终止单元}
+   */
+  scanPrelude(state) {
+    const { tokens } = state;
+    let depth = 0;
+    let position = tokens[state.index] ? tokens[state.index].start : state.source.length;
+
+    while (state.index < tokens.length) {
+      const token = tokens[state.index];
+      if (depth === 0 && (token.type === '{' || token.type === ';' || token.type === '}')) {
+        return { position, token };
+      }
+      if (token.type === '(' || token.type === '[') depth++;
+      if ((token.type === ')' || token.type === ']') && depth > 0) depth--;
+      if (token.type !== 'whitespace') position = token.end;
+      state.index++;
+    }
+
+    return { position, token: null };
+  }
+
+  /**
+   * 消费块结束的 }，并记录节点结束位置
+   */
+  closeBlock(state, node) {
+    const token = state.tokens[state.index];
+    if (token && token.type === '}') {
+      node.blockEnd = token.start;
+      node.end = token.end;
+      state.index++;
+    } else {
+      // 未闭合的块，延伸到文末
+      this.report(state, 'error', '块未闭合，缺少 }', node.blockStart);
+      node.blockEnd = state.source.length;
+      node.end = state.source.length;
+      node.unterminated = true;
+    }
+  }
+
+  /**
+   * 创建声明节点
+   */
+  createDeclaration(text, start, end) {
+    const colon = text.indexOf(':');
+    if (colon === -1) {
+      return { type: 'raw', text: text.trim(), start, end };
+    }
+
+    let value = text.slice(colon + 1).replace(/;\s*$/, '').trim();
+    const important = /!\s*important\s*$/i.test(value);
+    if (important) {
+      value = value.replace(/!\s*important\s*$/i, '').trim();
+    }
+
+    return {
+      type: 'declaration',
+      property: text.slice(0, colon).trim(),
+      value,
+      important,
+      start,
+      end
+    };
+  }
+
+  /**
+   * 去除注释并合并空白
+   */
+  cleanText(text) {
+    return text
+      .replace(/\/\*[\s\S]*?(\*\/|$)/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * 遍历语法树
+   * @param {Object} node - 起始节点
+   * @param {Function} visitor - 回调 (node, ancestors)，返回 false 时不再深入子节点
+   * @param {Array} ancestors - 祖先节点（由外到内）
+   */
+  walk(node, visitor, ancestors = []) {
+    if (visitor(node, ancestors) === false) return;
+    if (!node.children) return;
+
+    const path = [...ancestors, node];
+    node.children.forEach(child => this.walk(child, visitor, path));
+  }
+
+  /**
+   * 根据祖先规则计算完整选择器（支持嵌套规则与 & 引用）
+   * @param {Array} ancestors - 祖先节点
+   * @param {string} selector - 当前规则选择器（可选）
+   * @returns {string|null} 完整选择器，没有所属规则时返回 null
+   */
+  resolveSelector(ancestors, selector = null) {
+    const selectors = [...ancestors.filter(node => node.type === 'rule').map(node => node.selector)];
+    if (selector) selectors.push(selector);
+    if (selectors.length === 0) return null;
+
+    let resolved = this.splitSelectorList(selectors[0]);
+    for (let i = 1; i < selectors.length; i++) {
+      const next = [];
+      this.splitSelectorList(selectors[i]).forEach(child => {
+        resolved.forEach(parent => {
+          next.push(child.includes('&')
+            ? child.replace(/&/g, parent)
+            : `${parent} ${child}`);
+        });
+      });
+      resolved = next;
+    }
+
+    return resolved.join(', ');
+  }
+
+  /**
+   * 按顶层逗号拆分选择器列表
+   */
+  splitSelectorList(selector) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const ch of selector) {
+      if (ch === '(' || ch === '[') depth++;
+      if (ch === ')' || ch === ']') depth--;
+      if (ch === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += ch;
+    }
+    if (current.trim()) parts.push(current.trim());
+
+    return parts;
+  }
+
+  /**
+   * 从原文中移除指定区间
+   * @param {string} source - 原文
+   * @param {Array} ranges - 区间数组 [{start, end}]
+   * @returns {string} 移除后的文本
+   */
+  stripRanges(source, ranges) {
+    if (!ranges || ranges.length === 0) return source;
+
+    const sorted = [...ranges].sort((a, b) => a.start - b.start);
+    let output = '';
+    let cursor = 0;
+
+    sorted.forEach(range => {
+      if (range.start > cursor) {
+        output += source.slice(cursor, range.start);
+      }
+      cursor = Math.max(cursor, range.end);
+    });
+    output += source.slice(cursor);
+
+    return output;
+  }
+
+  /**
+   * 计算每行起始偏移
+   */
+  computeLineStarts(source) {
+    const starts = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+  }
+
+  /**
+   * 偏移量转换为行列（均从1开始）
+   */
+  locate(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  }
+
+  /**
+   * 获取原文中某偏移量的行列
+   * @param {string} source - 原文
+   * @param {number} offset - 偏移量
+   * @returns {Object} {line, column}
+   */
+  getLocation(source, offset) {
+    return this.locate(this.computeLineStarts(source), offset);
+  }
+}
@@ -1,11 +1,23 @@
 /**
  * CSS处理模块 - 解析和处理CSS内容，支持@add语法
  * 负责：CSS解析、@add语法处理、JavaScript提取
+ * 说明：process、extractJavaScript 与 @add 处理共享同一棵语法树（见 cssParser.js），
+ *      @media / @supports / 嵌套规则中的 @add 会归属到正确的选择器
  */
 
+import { AddBinding } from './addBinding.js';
+import { CSSParser } from './cssParser.js';
+import { HTMLPolicy } from './htmlPolicy.js';
+import { Logger } from './logger.js';
+
 export class CSSProcessor {
-    constructor(core) {
+    // @add支持的插入位置：宿主内部末尾/开头、宿主之前/之后、包裹宿主、替换宿主
+    static INSERT_MODES = ['append', 'prepend', 'before', 'after', 'wrap', 'replace'];
+    
+    constructor(core, logger = new Logger()) {
         this.core = core;
+        this.logger = logger.child('CSSProcessor');
+        this.parser = new CSSParser();
     }
     
     /**
@@ -16,134 +28,376 @@ export class CSSProcessor {
     process(content) {
         const result = {
             css: '',
+            rules: [],
             javascript: '',
-            addCommands: []
+            scripts: [],
+            addCommands: [],
+            diagnostics: [],
+            ast: null
         };
         
         if (!content) return result;
         
-        // 1. 提取JavaScript代码
-        const jsExtracted = this.extractJavaScript(content);
-        result.javascript = jsExtracted.javascript;
+        // 1. 解析语法树（后续步骤共享）
+        const ast = this.parser.parse(content);
+        result.ast = ast;
         
-        // 2. 处理CSS内容（已移除JS）
-        let cssContent = jsExtracted.css;
+        // 2. 提取JavaScript代码
+        const jsExtracted = this.extractJavaScript(content, ast);
+        result.javascript = jsExtracted.javascript;
+        result.scripts = jsExtracted.scripts;
         
         // 3. 处理@add语法
-        const addProcessed = this.processAddSyntax(cssContent);
-        result.css = addProcessed.css;
+        const addProcessed = this.processAddSyntax(content, ast);
         result.addCommands = addProcessed.commands;
         
+        // 4. 从原文中一次性移除脚本和@add指令，保留其余CSS原样
+        const ranges = [...jsExtracted.ranges, ...addProcessed.ranges];
+        result.css = this.parser.stripRanges(content, ranges).trim();
+        result.rules = this.splitRules(content, ast, ranges);
+        
+        // 5. 汇总诊断信息（语法问题 + @add问题），按出现位置排序
+        result.diagnostics = [...ast.diagnostics, ...addProcessed.diagnostics]
+            .sort((a, b) => a.offset - b.offset);
+        
         return result;
     }
     
+    /**
+     * 按顶层规则拆分处理后的CSS，供 CoreModule.applyCSSRules 增量更新
+     * 顶层存在无法识别的内容时返回 null（浏览器的容错结果无法按规则还原，只能整体应用 css）
+     * @param {string} content - 原始内容
+     * @param {Object} ast - 语法树
+     * @param {Array} ranges - 需要移除的区间（脚本、@add指令）
+     * @returns {Array<string>|null}
+     */
+    splitRules(content, ast, ranges) {
+        if (ast.children.some(node => node.type === 'raw')) return null;
+        
+        return ast.children
+            .filter(node => node.type === 'rule' || node.type === 'atrule')
+            .map(node => {
+                const inner = ranges
+                    .filter(range => range.start >= node.start && range.end <= node.end)
+                    .map(range => ({ start: range.start - node.start, end: range.end - node.start }));
+                return this.parser.stripRanges(content.slice(node.start, node.end), inner).trim();
+            })
+            .filter(Boolean);
+    }
+    
     /**
      * 提取JavaScript代码
+     * javascript 为普通同步脚本合并后的代码；scripts 为全部脚本块，
+     * 其中 type="module" 的块按模块执行（可用 name 属性命名，供其他块 import 'ecss:名称'），
+     * 带 async 属性的块支持顶层 await
      * @param {string} content - 原始内容
-     * @returns {Object} {css: string, javascript: string}
+     * @param {Object} ast - 已解析的语法树（可选）
+     * @returns {Object} {css: string, javascript: string, scripts: Array, ranges: Array}
      */
-    extractJavaScript(content) {
-        let css = content;
-        let javascript = '';
+    extractJavaScript(content, ast = this.parser.parse(content)) {
+        const scripts = [];
         
-        // 匹配 <script> 标签
-        const scriptRegex = /<script[^>]*>([\s\S]*?)<\/script>/gi;
-        let match;
+        // 注释和字符串中的 <script> 不会被识别为脚本
+        this.parser.walk(ast, (node) => {
+            if (node.type === 'script') {
+                scripts.push(node);
+            }
+        });
         
-        while ((match = scriptRegex.exec(content)) !== null) {
-            javascript += match[1] + '\n';
-            css = css.replace(match[0], '');
-        }
+        const ranges = scripts.map(node => ({ start: node.start, end: node.end }));
+        const blocks = scripts.map((node, index) => {
+            const attrs = this.parseAttributes(node.attrs);
+            let kind = 'classic';
+            if ((attrs.type || '').toLowerCase() === 'module') {
+                kind = 'module';
+            } else if ('async' in attrs) {
+                kind = 'async';
+            }
+            
+            return {
+                index,
+                kind,
+                name: attrs.name || null,
+                content: node.content,
+                start: node.start,
+                contentStart: node.contentStart,
+                loc: node.loc
+            };
+        });
         
         return {
-            css: css.trim(),
-            javascript: javascript.trim()
+            css: this.parser.stripRanges(content, ranges).trim(),
+            javascript: blocks.filter(block => block.kind === 'classic').map(block => block.content).join('\n').trim(),
+            scripts: blocks.filter(block => block.content.trim()),
+            ranges
         };
     }
     
     /**
      * 处理@add语法
      * @param {string} css - CSS内容
-     * @returns {Object} {css: string, commands: Array}
+     * @param {Object} ast - 已解析的语法树（可选）
+     * @returns {Object} {css: string, commands: Array, ranges: Array, diagnostics: Array}
      */
-    processAddSyntax(css) {
+    processAddSyntax(css, ast = this.parser.parse(css)) {
         const commands = [];
-        let processedCSS = css;
-        
-        // 匹配CSS规则
-        const ruleRegex = /([^{]+)\s*\{([^}]*)\}/g;
-        let ruleMatch;
+        const ranges = [];
+        const diagnostics = [];
+        const report = (severity, message, node) => {
+            diagnostics.push(this.parser.createDiagnostic(ast, severity, message, node.start));
+        };
         
-        while ((ruleMatch = ruleRegex.exec(css)) !== null) {
-            const selector = ruleMatch[1].trim();
-            const content = ruleMatch[2];
+        this.parser.walk(ast, (node, ancestors) => {
+            if (node.type !== 'directive' || node.name !== 'add') return;
             
-            // 匹配@add指令
-            const addRegex = /@add:\s*([a-zA-Z0-9_-]+)\s+"([^"]*)"(?:\s+([^\s;]+))?(?:\s+([^\s;]+))?(?:\s+([^\s;]+))?(?:\s+([^\s;]+))?[;]?/g;
-            let addMatch;
+            // 无论是否有效，@add 都不是合法CSS，从输出中移除
+            ranges.push({ start: node.start, end: node.end });
             
-            while ((addMatch = addRegex.exec(content)) !== null) {
-                const command = this.parseAddCommand(selector, addMatch);
-                if (command) {
-                    commands.push(command);
-                    // 从CSS中移除@add指令
-                    processedCSS = processedCSS.replace(addMatch[0], '');
-                }
+            const selector = this.parser.resolveSelector(ancestors);
+            if (!selector) {
+                report('warning', '@add 不在任何规则内，已忽略', node);
+                return;
             }
-        }
+            
+            const command = this.parseAddCommand(selector, this.tokenizeAddValue(node.value));
+            if (!command) {
+                report('error', '无法解析的 @add 指令，格式应为：@add: 类名 "内容" [参数...]', node);
+                return;
+            }
+            
+            // 记录所在的条件规则（@media、@supports、@container 等）
+            command.conditions = ancestors
+                .filter(parent => parent.type === 'atrule')
+                .map(parent => ({ name: parent.name, prelude: parent.prelude }));
+            command.loc = node.loc;
+            command.errors.forEach(error => report('error', `@add ${command.className}：${error}`, node));
+            command.warnings.forEach(warning => report('warning', `@add ${command.className}：${warning}`, node));
+            commands.push(command);
+        });
         
         return {
-            css: processedCSS,
-            commands: commands
+            css: this.parser.stripRanges(css, ranges),
+            commands: commands,
+            ranges,
+            diagnostics
+        };
+    }
+    
+    /**
+     * 拆分@add指令内容
+     * 语法：类名 [<标签 属性...>] ["内容" | url(...)] [{ 内联样式 }] [参数...]
+     * 例如：@add: badge <a href="..."> "文字" { color: red; z-index: 3 } before;
+     * @param {string} value - 指令内容（不含 @add:）
+     * @returns {Object|null} 拆分结果，类名缺失时返回 null
+     */
+    tokenizeAddValue(value) {
+        const parts = {
+            className: null,
+            tag: null,
+            attrs: {},
+            content: null,
+            declarations: [],
+            params: []
         };
+        
+        let rest = value.trim();
+        const take = (regex) => {
+            const match = regex.exec(rest);
+            if (!match) return null;
+            rest = rest.slice(match[0].length).trim();
+            return match;
+        };
+        
+        // 类名
+        const classMatch = take(/^([a-zA-Z0-9_-]+)/);
+        if (!classMatch) return null;
+        parts.className = classMatch[1];
+        
+        // 标签与属性
+        const tagMatch = take(/^<([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s=>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/);
+        if (tagMatch) {
+            parts.tag = tagMatch[1].toLowerCase();
+            parts.attrs = this.parseAttributes(tagMatch[2]);
+        }
+        
+        // 内容：字符串或未加引号的 url(...)
+        const stringMatch = take(/^"((?:[^"\\]|\\.)*)"|^'((?:[^'\\]|\\.)*)'/);
+        if (stringMatch) {
+            parts.content = (stringMatch[1] !== undefined ? stringMatch[1] : stringMatch[2]).replace(/\\(.)/g, '$1');
+        } else {
+            const urlMatch = take(/^url\([^)]*\)/i);
+            if (urlMatch) parts.content = urlMatch[0];
+        }
+        
+        // 内联样式块
+        if (rest.startsWith('{')) {
+            let depth = 0;
+            let end = 0;
+            for (; end < rest.length; end++) {
+                if (rest[end] === '{') depth++;
+                if (rest[end] === '}' && --depth === 0) break;
+            }
+            const block = rest.slice(1, end);
+            rest = rest.slice(end + 1).trim();
+            
+            const ast = this.parser.parse(`x{${block}}`);
+            const rule = ast.children.find(node => node.type === 'rule');
+            if (rule) {
+                parts.declarations = rule.children
+                    .filter(node => node.type === 'declaration')
+                    .map(({ property, value, important }) => ({ property, value, important }));
+            }
+        }
+        
+        // 其余参数
+        parts.params = this.splitParams(rest);
+        
+        return parts;
+    }
+    
+    /**
+     * 按空白拆分参数，括号内的空白不拆分（如 left-calc(50% - 20px)）
+     */
+    splitParams(text) {
+        const params = [];
+        let depth = 0;
+        let current = '';
+        
+        for (const ch of text) {
+            if (ch === '(') depth++;
+            if (ch === ')') depth = Math.max(0, depth - 1);
+            if (/\s/.test(ch) && depth === 0) {
+                if (current) params.push(current);
+                current = '';
+                continue;
+            }
+            current += ch;
+        }
+        if (current) params.push(current);
+        
+        return params;
     }
     
     /**
      * 解析@add命令
      * @param {string} selector - CSS选择器
-     * @param {Array} match - 正则匹配结果
+     * @param {Object} parts - tokenizeAddValue 的拆分结果
      * @returns {Object} 命令对象
      */
-    parseAddCommand(selector, match) {
-        const className = match[1];
-        const content = match[2];
-        const params = [match[3], match[4], match[5], match[6]].filter(Boolean);
+    parseAddCommand(selector, parts) {
+        if (!parts || parts.content === null && !parts.tag) return null;
+        
+        const { className, params } = parts;
+        const content = parts.content || '';
         
         // 判断内容类型
+        let command;
         if (content.startsWith('url(')) {
             // 图片类型
-            return this.parseImageCommand(selector, className, content, params);
+            command = this.parseImageCommand(selector, className, content, params);
         } else {
             // 文本类型
-            return this.parseTextCommand(selector, className, content, params);
+            command = this.parseTextCommand(selector, className, content, params);
         }
+        
+        const defaultTag = command.type === 'image' ? 'div' : 'span';
+        command.warnings = [];
+        command.tag = parts.tag || defaultTag;
+        if (!HTMLPolicy.isAllowedTag(command.tag)) {
+            command.warnings.push(`不允许使用 <${command.tag}> 标签，已改用 <${defaultTag}>`);
+            command.tag = defaultTag;
+        }
+        command.attrs = this.sanitizeAttributes(parts.attrs, command.warnings);
+        command.declarations = parts.declarations;
+        
+        // 按文档流排列时位置参数不起作用，文本没有尺寸
+        if (Object.keys(command.position).length > 0 && !this.isAbsolute(command)) {
+            command.warnings.push(command.flow
+                ? '使用 flow 时会忽略位置参数'
+                : `插入方式为 ${command.insert} 时会忽略位置参数`);
+        }
+        if (command.size && command.type === 'text') {
+            command.warnings.push(`文本不支持尺寸参数，已忽略 ${command.size}`);
+        }
+        
+        return command;
     }
     
     /**
-     * 解析图片命令
+     * 解析HTML属性字符串，如 href="x" target=_blank hidden
+     * @param {string} source - 属性字符串
+     * @returns {Object} 属性名 -> 值（无值属性为空字符串）
      */
-    parseImageCommand(selector, className, content, params) {
-        const url = content.slice(4, -1); // 移除 url( 和 )
-        let size = null;
-        let position = {};
+    parseAttributes(source) {
+        const attrs = {};
+        const attrRegex = /([^\s=]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'>]+))?/g;
+        let attrMatch;
+        while ((attrMatch = attrRegex.exec(source || '')) !== null) {
+            const raw = attrMatch[2] || '';
+            attrs[attrMatch[1]] = /^["']/.test(raw) ? raw.slice(1, -1) : raw;
+        }
+        return attrs;
+    }
+    
+    /**
+     * 过滤@add属性（规则见 HTMLPolicy），被忽略的属性记录为警告
+     */
+    sanitizeAttributes(attrs, warnings = []) {
+        const { safe, rejected } = HTMLPolicy.sanitizeAttributes(attrs);
+        rejected.forEach(name => warnings.push(`已忽略不安全的属性 ${name}`));
+        return safe;
+    }
+    
+    /**
+     * 拆分通用参数：once、flow、插入位置、尺寸，其余视为位置参数
+     */
+    parseCommonParams(params) {
+        const options = {
+            live: true,
+            flow: false,
+            insert: 'append',
+            size: null,
+            positions: []
+        };
         
         params.forEach(param => {
-            if (param && param.includes('x')) {
+            if (param === 'once') {
+                options.live = false;
+            } else if (param === 'flow') {
+                // 不使用绝对定位，按文档流排列
+                options.flow = true;
+            } else if (CSSProcessor.INSERT_MODES.includes(param)) {
+                options.insert = param;
+            } else if (/^\d+(\.\d+)?x\d+(\.\d+)?$/.test(param)) {
                 // 尺寸参数 (如 100x100)
-                size = param;
-            } else if (param) {
-                // 位置参数
-                Object.assign(position, this.parsePosition(param));
+                options.size = param;
+            } else {
+                options.positions.push(param);
             }
         });
         
+        return options;
+    }
+    
+    /**
+     * 解析图片命令
+     */
+    parseImageCommand(selector, className, content, params) {
+        const url = content.slice(4, -1).replace(/^["']|["']$/g, ''); // 移除 url( 和 )
+        const options = this.parseCommonParams(params);
+        const { style: position, errors } = this.parsePositions(options.positions);
+        
         return {
             type: 'image',
             selector: selector,
             className: className,
             url: url,
-            size: size,
-            position: position
+            size: options.size,
+            position: position,
+            insert: options.insert,
+            flow: options.flow,
+            live: options.live,
+            errors: errors
         };
     }
     
@@ -151,135 +405,478 @@ export class CSSProcessor {
      * 解析文本命令
      */
     parseTextCommand(selector, className, content, params) {
-        let position = {};
-        
-        params.forEach(param => {
-            if (param) {
-                Object.assign(position, this.parsePosition(param));
-            }
-        });
+        const options = this.parseCommonParams(params);
+        const { style: position, errors } = this.parsePositions(options.positions);
         
         return {
             type: 'text',
             selector: selector,
             className: className,
             text: content,
-            position: position
+            size: options.size,
+            position: position,
+            insert: options.insert,
+            flow: options.flow,
+            live: options.live,
+            errors: errors
         };
     }
     
     /**
      * 解析位置参数
+     * 语法：边[-边...][-值]，值支持负数（双减号，如 top--10px）、各种长度单位、百分比
+     * 和 calc()/min()/max()/clamp()/var()；另有 inset、center、center-x、center-y
+     * 例如：top-10%  top-left-4px  inset-4px  left-calc(50%-20px)  center-x
      * @param {string} pos - 位置字符串
-     * @returns {Object} 位置样式对象
+     * @returns {Object|null} 位置样式对象，无法识别时返回 null
      */
     parsePosition(pos) {
         if (!pos) return {};
         
-        const style = {};
-        
-        // 支持负值（使用双减号表示）
-        pos = pos.replace('--', 'NEG');
-        
-        // 匹配各种格式
-        if (pos.includes('top')) {
-            const value = pos.replace('top-', '').replace('top', '0');
-            style.top = value.replace('NEG', '-');
-        } else if (pos.includes('bottom')) {
-            const value = pos.replace('bottom-', '').replace('bottom', '0');
-            style.bottom = value.replace('NEG', '-');
-        } else if (pos.includes('left')) {
-            const value = pos.replace('left-', '').replace('left', '0');
-            style.left = value.replace('NEG', '-');
-        } else if (pos.includes('right')) {
-            const value = pos.replace('right-', '').replace('right', '0');
-            style.right = value.replace('NEG', '-');
-        } else if (pos.includes('center')) {
-            style.left = '50%';
-            style.top = '50%';
+        const { style, errors } = this.parsePositions([pos]);
+        return errors.length > 0 ? null : style;
+    }
+    
+    /**
+     * 解析并合并多个位置参数
+     * center-x / center-y 与同轴偏移同时出现时，偏移叠加在 50% 上（如 center-x left-10px → calc(50% + 10px)）
+     * @param {Array} tokens - 位置参数数组
+     * @returns {Object} {style: 位置样式对象, errors: 无法识别的参数说明}
+     */
+    parsePositions(tokens) {
+        const offsets = {};
+        const errors = [];
+        let centerX = false;
+        let centerY = false;
+        
+        tokens.forEach(token => {
+            const parsed = this.parsePositionToken(token);
+            if (!parsed) {
+                errors.push(`无法识别的位置参数: ${token}`);
+                return;
+            }
+            Object.assign(offsets, parsed.offsets);
+            centerX = centerX || parsed.centerX;
+            centerY = centerY || parsed.centerY;
+        });
+        
+        const style = { ...offsets };
+        const centered = (offset) => offset && offset !== '0' ? `calc(50% + ${offset})` : '50%';
+        
+        if (centerX) {
+            style.left = centered(offsets.left);
+            delete style.right;
+        }
+        if (centerY) {
+            style.top = centered(offsets.top);
+            delete style.bottom;
+        }
+        if (centerX && centerY) {
             style.transform = 'translate(-50%, -50%)';
+        } else if (centerX) {
+            style.transform = 'translateX(-50%)';
+        } else if (centerY) {
+            style.transform = 'translateY(-50%)';
         }
         
-        return style;
+        return { style, errors };
+    }
+    
+    /**
+     * 解析单个位置参数
+     * @returns {Object|null} {offsets, centerX, centerY}
+     */
+    parsePositionToken(token) {
+        switch (token) {
+            case 'center':
+                return { offsets: {}, centerX: true, centerY: true };
+            case 'center-x':
+                return { offsets: {}, centerX: true, centerY: false };
+            case 'center-y':
+                return { offsets: {}, centerX: false, centerY: true };
+        }
+        
+        // 依次读取边名称，剩余部分为值
+        const edges = [];
+        let rest = token;
+        let match;
+        while ((match = /^(top|right|bottom|left|inset)(?:-|$)/.exec(rest)) !== null) {
+            edges.push(match[1]);
+            rest = rest.slice(match[0].length);
+        }
+        if (edges.length === 0) return null;
+        
+        const value = rest === '' ? '0' : this.parsePositionValue(rest);
+        if (value === null) return null;
+        
+        const offsets = {};
+        edges.forEach(edge => {
+            if (edge === 'inset') {
+                offsets.top = offsets.right = offsets.bottom = offsets.left = value;
+            } else {
+                offsets[edge] = value;
+            }
+        });
+        
+        return { offsets, centerX: false, centerY: false };
+    }
+    
+    /**
+     * 解析位置值
+     * @param {string} raw - 值部分（前导 - 表示负数）
+     * @returns {string|null} CSS值，无效时返回 null
+     */
+    parsePositionValue(raw) {
+        const negative = raw.startsWith('-');
+        const body = negative ? raw.slice(1) : raw;
+        
+        // 数值 + 单位，省略单位时按 px 处理
+        const numberMatch = /^(\d*\.?\d+)(px|%|r?em|ch|ex|vw|vh|vmin|vmax|[sdl]v[wh]|cq[wh]|pt|pc|cm|mm|in)?$/i.exec(body);
+        if (numberMatch) {
+            const number = numberMatch[1];
+            const unit = numberMatch[2] || (Number(number) === 0 ? '' : 'px');
+            return `${negative ? '-' : ''}${number}${unit}`;
+        }
+        
+        // CSS函数：calc(50%-20px) 中的运算符补齐空格
+        const functionMatch = /^(calc|min|max|clamp|var)\((.*)\)$/i.exec(body);
+        if (functionMatch) {
+            const name = functionMatch[1].toLowerCase();
+            const args = name === 'var' ? functionMatch[2] : this.spaceOperators(functionMatch[2]);
+            const expression = `${name}(${args})`;
+            return negative ? `calc(-1 * ${expression})` : expression;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * 在 calc() 等函数参数中的二元 + - 两侧补齐空格
+     * 按词法单元扫描：var() 的内容、标识符（如 --gap-2）和科学计数法数值（如 1e-3px）中的减号保持不变，
+     * 只有跟在数值、标识符或 ) 之后的 + - 视为二元运算符
+     * @param {string} args - 函数参数
+     * @returns {string}
+     */
+    spaceOperators(args) {
+        let result = '';
+        let afterValue = false; // 上一个词法单元是否为数值、标识符或 )
+        let i = 0;
+        
+        while (i < args.length) {
+            const rest = args.slice(i);
+            const ch = args[i];
+            
+            // var() 整体原样保留
+            const varMatch = /^var\(/i.exec(rest);
+            if (varMatch) {
+                let depth = 0;
+                let end = i;
+                for (; end < args.length; end++) {
+                    if (args[end] === '(') depth++;
+                    if (args[end] === ')' && --depth === 0) break;
+                }
+                result += args.slice(i, end + 1);
+                i = end + 1;
+                afterValue = true;
+                continue;
+            }
+            
+            if ((ch === '+' || ch === '-') && afterValue) {
+                result = result.trimEnd() + ` ${ch} `;
+                i++;
+                while (i < args.length && /\s/.test(args[i])) i++;
+                afterValue = false;
+                continue;
+            }
+            
+            // 数值（可带符号、指数和单位）或标识符
+            const tokenMatch = /^[+-]?(?:\d*\.?\d+(?:e[+-]?\d+)?[a-z%]*|-?[a-z_-][\w-]*)/i.exec(rest);
+            if (tokenMatch) {
+                result += tokenMatch[0];
+                i += tokenMatch[0].length;
+                afterValue = true;
+                continue;
+            }
+            
+            result += ch;
+            i++;
+            if (ch === ')') {
+                afterValue = true;
+            } else if (!/\s/.test(ch)) {
+                afterValue = false;
+            }
+        }
+        
+        return result;
     }
     
     /**
      * 执行@add命令
+     * 每个命令生成一个绑定（见 addBinding.js），由绑定根据 @media / @container
+     * 条件的匹配状态创建或移除装饰元素。
+     * 重复执行时按命令标识与上次结果对比：未变化的保留，参数变化的原地更新，已删除的移除
      * @param {Array} commands - 命令数组
+     * @param {string} scope - 命令来源（main 为主题输入框，代码片段为 snippet-<id>），只与同一来源的上次结果对比
      */
-    executeAddCommands(commands) {
+    executeAddCommands(commands, scope = 'main') {
+        const next = new Map();
+        const prefix = `${scope}::`;
+        
         commands.forEach(cmd => {
-            const elements = document.querySelectorAll(cmd.selector);
+            // 同一标识出现多次时追加序号
+            const baseKey = prefix + this.getCommandKey(cmd);
+            let key = baseKey;
+            for (let n = 2; next.has(key); n++) {
+                key = `${baseKey}#${n}`;
+            }
+            cmd.key = key;
+            next.set(key, cmd);
+        });
+        
+        let added = 0;
+        let updated = 0;
+        let removed = 0;
+        
+        // 1. 移除已不存在的命令
+        Array.from(this.core.addBindings.keys()).forEach(key => {
+            if (key.startsWith(prefix) && !next.has(key)) {
+                this.core.removeBinding(key);
+                removed++;
+            }
+        });
+        
+        // 2. 新增或更新
+        next.forEach((cmd, key) => {
+            const signature = this.getCommandSignature(cmd);
+            const existing = this.core.addBindings.get(key);
             
-            elements.forEach(el => {
-                let newElement;
-                
-                if (cmd.type === 'image') {
-                    // 创建图片元素
-                    newElement = this.createImageElement(cmd);
-                } else {
-                    // 创建文本元素
-                    newElement = this.createTextElement(cmd);
-                }
-                
-                // 应用通用样式
-                newElement.style.position = 'absolute';
-                Object.assign(newElement.style, cmd.position);
-                
-                // 标记为扩展创建的元素
-                newElement.setAttribute('data-enhanced-css-element', 'true');
-                
-                // 确保父元素有相对定位
-                if (getComputedStyle(el).position === 'static') {
-                    el.style.position = 'relative';
-                }
-                
-                // 添加到父元素
-                el.appendChild(newElement);
-                this.core.addedElements.add(newElement);
-            });
+            if (!existing) {
+                const binding = new AddBinding(cmd, this);
+                binding.signature = signature;
+                this.core.registerBinding(key, binding);
+                binding.start();
+                added++;
+            } else if (existing.signature !== signature) {
+                existing.signature = signature;
+                existing.update(cmd);
+                updated++;
+            }
         });
         
-        console.log(`[CSSProcessor] 执行了 ${commands.length} 个@add命令`);
+        this.logger.info(`@add命令 (${scope})：新增 ${added}，更新 ${updated}，移除 ${removed}，共 ${next.size} 个`);
     }
     
     /**
-     * 创建图片元素
+     * 暂停或恢复某个来源的全部@add绑定（暂停期间装饰元素被移除）
+     * @param {string} scope - 命令来源
+     * @param {boolean} suspended - 是否暂停
      */
-    createImageElement(cmd) {
-        const element = document.createElement('div');
-        element.className = `enhanced-add-${cmd.className}`;
-        element.style.backgroundImage = `url(${cmd.url})`;
-        element.style.backgroundSize = 'contain';
-        element.style.backgroundRepeat = 'no-repeat';
-        element.style.backgroundPosition = 'center';
+    setAddCommandsSuspended(scope, suspended) {
+        const prefix = `${scope}::`;
+        this.core.addBindings.forEach((binding, key) => {
+            if (key.startsWith(prefix)) {
+                binding.setSuspended(suspended);
+            }
+        });
+    }
+    
+    /**
+     * 把某个来源的@add绑定转移到另一个来源，装饰元素保持不动；目标来源原有的绑定被移除
+     * @param {string} from - 原来源
+     * @param {string} to - 目标来源
+     */
+    moveAddCommands(from, to) {
+        const fromPrefix = `${from}::`;
+        const toPrefix = `${to}::`;
+        const keys = Array.from(this.core.addBindings.keys());
         
-        if (cmd.size) {
-            const [width, height] = cmd.size.split('x');
-            element.style.width = width + 'px';
-            element.style.height = height + 'px';
-        } else {
-            // 默认尺寸
-            element.style.width = '50px';
-            element.style.height = '50px';
+        keys.filter(key => key.startsWith(toPrefix)).forEach(key => this.core.removeBinding(key));
+        
+        keys.filter(key => key.startsWith(fromPrefix)).forEach(key => {
+            const binding = this.core.addBindings.get(key);
+            const newKey = toPrefix + key.slice(fromPrefix.length);
+            this.core.addBindings.delete(key);
+            this.core.addBindings.set(newKey, binding);
+            binding.command.key = newKey;
+        });
+    }
+    
+    /**
+     * 命令标识：所在条件 + 选择器 + 类名
+     */
+    getCommandKey(cmd) {
+        const conditions = (cmd.conditions || [])
+            .map(condition => `@${condition.name} ${condition.prelude}`)
+            .join(' ');
+        return `${conditions}|${cmd.selector}|${cmd.className}`;
+    }
+    
+    /**
+     * 命令签名：除位置信息外的全部参数，用于判断命令是否变化
+     */
+    getCommandSignature(cmd) {
+        const { key, loc, ...args } = cmd;
+        return JSON.stringify(args);
+    }
+    
+    /**
+     * 构建@add装饰元素（不插入页面）
+     * 通过 CoreModule.createElement 创建，保证追踪和清理方式与API创建的元素一致
+     * @param {Object} cmd - 命令对象
+     * @returns {Element} 装饰元素
+     */
+    buildAddElement(cmd) {
+        const style = cmd.type === 'image' ? this.getImageStyle(cmd) : {};
+        
+        // 插入到宿主内部时使用绝对定位，flow 或宿主外部的插入方式按文档流排列
+        if (this.isAbsolute(cmd)) {
+            style.position = 'absolute';
+            Object.assign(style, cmd.position);
         }
         
+        const element = this.core.createElement(cmd.tag || (cmd.type === 'image' ? 'div' : 'span'), {
+            class: `enhanced-add-${cmd.className}`,
+            text: cmd.type === 'text' ? cmd.text : '',
+            attrs: cmd.attrs,
+            style
+        });
+        
+        // 内联样式块最后应用，可覆盖默认样式
+        (cmd.declarations || []).forEach(({ property, value, important }) => {
+            element.style.setProperty(property, value, important ? 'important' : '');
+        });
+        
         return element;
     }
     
     /**
-     * 创建文本元素
+     * 装饰元素是否插入到宿主内部
+     */
+    isInsideHost(cmd) {
+        return !cmd.insert || cmd.insert === 'append' || cmd.insert === 'prepend';
+    }
+    
+    /**
+     * 装饰元素是否使用绝对定位（插入宿主内部且未指定 flow）
+     */
+    isAbsolute(cmd) {
+        return this.isInsideHost(cmd) && !cmd.flow;
+    }
+    
+    /**
+     * 为单个宿主元素创建@add装饰元素
+     * @param {Object} cmd - 命令对象
+     * @param {Element} el - 宿主元素
+     * @returns {Element} 创建的元素
+     */
+    createAddElement(cmd, el) {
+        const newElement = this.buildAddElement(cmd);
+        
+        // 确保父元素有相对定位（原值由 CoreModule 记录，清理时恢复）
+        if (this.isAbsolute(cmd)) {
+            this.core.ensureRelativePosition(el);
+        }
+        
+        // 按插入位置添加
+        switch (cmd.insert) {
+            case 'prepend':
+                el.prepend(newElement);
+                break;
+            case 'before':
+                el.before(newElement);
+                break;
+            case 'after':
+                el.after(newElement);
+                break;
+            case 'wrap':
+                el.before(newElement);
+                newElement.appendChild(el);
+                break;
+            case 'replace':
+                el.replaceWith(newElement);
+                break;
+            default:
+                el.appendChild(newElement);
+        }
+        
+        // 包裹和替换会移动宿主，记录下来以便移除时还原
+        this.core.trackInsertion(newElement, cmd.insert, el);
+        
+        return newElement;
+    }
+    
+    /**
+     * 按新命令原地更新已有的装饰元素
+     * 标签相同时只同步属性和内容，保留元素本身；标签不同时替换元素
+     * @param {Object} cmd - 新命令
+     * @param {Element} element - 已有装饰元素
+     * @returns {Element} 更新后的元素
      */
-    createTextElement(cmd) {
-        const element = document.createElement('span');
-        element.className = `enhanced-add-${cmd.className}`;
-        element.textContent = cmd.text;
+    updateAddElement(cmd, element) {
+        const replacement = this.buildAddElement(cmd);
+        
+        if (replacement.tagName !== element.tagName) {
+            // 包裹模式下宿主在元素内部，需要一并移入新元素
+            const host = this.core.getInsertionHost(element);
+            if (host && element.contains(host)) {
+                replacement.appendChild(host);
+            }
+            element.replaceWith(replacement);
+            this.core.trackInsertion(replacement, cmd.insert, host);
+            this.core.untrackElement(element);
+            return replacement;
+        }
+        
+        // 只作为模板使用，不再追踪
+        this.core.addedElements.delete(replacement);
+        
+        const idAttribute = this.core.EXTENSION_ID;
+        Array.from(element.attributes).forEach(attr => {
+            if (attr.name !== idAttribute && !replacement.hasAttribute(attr.name)) {
+                element.removeAttribute(attr.name);
+            }
+        });
+        Array.from(replacement.attributes).forEach(attr => {
+            if (attr.name !== idAttribute) {
+                element.setAttribute(attr.name, attr.value);
+            }
+        });
+        // 包裹模式下保留宿主，只替换其余内容
+        const host = this.core.getInsertionHost(element);
+        const keepHost = host && host.parentNode === element;
+        element.replaceChildren(...replacement.childNodes);
+        if (keepHost) {
+            element.appendChild(host);
+        }
         
         return element;
     }
     
     /**
-     * 验证CSS语法
+     * 图片元素的样式
+     */
+    getImageStyle(cmd) {
+        const style = {
+            backgroundImage: `url(${cmd.url})`,
+            backgroundSize: 'contain',
+            backgroundRepeat: 'no-repeat',
+            backgroundPosition: 'center',
+            // 默认尺寸
+            width: '50px',
+            height: '50px'
+        };
+        
+        if (cmd.size) {
+            const [width, height] = cmd.size.split('x');
+            style.width = width + 'px';
+            style.height = height + 'px';
+        }
+        
+        return style;
+    }
+    
+    /**
+     * 验证CSS语法（整体检查是否产生了规则，逐条检查见 validateRules）
      * @param {string} css - CSS内容
      * @returns {boolean} 是否有效
      */
@@ -300,11 +897,106 @@ export class CSSProcessor {
             
             return hasRules;
         } catch (e) {
-            console.warn('[CSSProcessor] CSS验证失败:', e.message);
+            this.logger.warn('CSS验证失败:', e.message);
             return false;
         }
     }
     
+    /**
+     * 逐条验证CSS规则：把每条规则的选择器、声明和 at 规则条件交给浏览器CSSOM，
+     * 与源码逐项对比，报告被丢弃的属性、不支持的选择器和无效的值
+     * @param {Object} ast - 已解析的语法树
+     * @returns {Array} 诊断信息
+     */
+    validateRules(ast) {
+        const diagnostics = [];
+        if (!ast || !ast.children.length) return diagnostics;
+        
+        // 临时样式表，media="not all" 确保验证过程不影响页面
+        const testStyle = document.createElement('style');
+        testStyle.media = 'not all';
+        document.head.appendChild(testStyle);
+        
+        try {
+            const sheet = testStyle.sheet;
+            sheet.insertRule('.enhanced-css-validate {}', 0);
+            const scratch = sheet.cssRules[0].style;
+            const report = (severity, message, node) => {
+                diagnostics.push(this.parser.createDiagnostic(ast, severity, message, node.start));
+            };
+            const accepts = (ruleText) => {
+                try {
+                    sheet.insertRule(ruleText, sheet.cssRules.length);
+                    const rule = sheet.cssRules[sheet.cssRules.length - 1];
+                    sheet.deleteRule(sheet.cssRules.length - 1);
+                    return rule;
+                } catch (e) {
+                    return null;
+                }
+            };
+            
+            // 这些 at 规则内部是描述符或关键帧，不按普通规则验证
+            const descriptorBlocks = ['font-face', 'page', 'property', 'counter-style', 'font-feature-values', 'font-palette-values'];
+            
+            this.parser.walk(ast, (node, ancestors) => {
+                const parent = ancestors[ancestors.length - 1];
+                
+                if (node.type === 'atrule') {
+                    if (!node.children || descriptorBlocks.includes(node.name)) {
+                        return node.children ? false : undefined;
+                    }
+                    if (node.name === 'keyframes' || /-keyframes$/.test(node.name)) {
+                        if (!accepts(`@${node.name} ${node.prelude} {}`)) {
+                            report('warning', `@${node.name} 名称无效：${node.prelude}`, node);
+                        }
+                        return;
+                    }
+                    const rule = accepts(`@${node.name} ${node.prelude} {}`);
+                    if (!rule) {
+                        report('warning', `浏览器不支持 @${node.name} ${node.prelude}，其中的规则不会生效`, node);
+                    } else if (node.name === 'media' && rule.media && rule.media.mediaText === 'not all') {
+                        report('warning', `媒体查询无效：${node.prelude}`, node);
+                    }
+                    return;
+                }
+                
+                if (node.type === 'rule') {
+                    const inKeyframes = parent && parent.type === 'atrule' && /keyframes$/.test(parent.name);
+                    if (!inKeyframes) {
+                        const selector = this.parser.resolveSelector(ancestors, node.selector);
+                        if (!accepts(`${selector} {}`)) {
+                            report('error', `选择器无效或浏览器不支持，整条规则被丢弃：${selector}`, node);
+                            return false;
+                        }
+                    }
+                    return;
+                }
+                
+                if (node.type !== 'declaration' || !parent || parent.type !== 'rule') return;
+                
+                // 自定义属性的值几乎总会被接受
+                if (node.property.startsWith('--')) return;
+                
+                scratch.cssText = '';
+                scratch.setProperty(node.property, node.value, node.important ? 'important' : '');
+                if (scratch.getPropertyValue(node.property) !== '' || scratch.length > 0) return;
+                
+                const knownProperty = window.CSS && CSS.supports && CSS.supports(node.property, 'initial');
+                if (knownProperty) {
+                    report('warning', `属性 ${node.property} 的值无效，已被丢弃：${node.value}`, node);
+                } else {
+                    report('warning', `未知属性 ${node.property}，已被丢弃`, node);
+                }
+            });
+        } catch (e) {
+            this.logger.warn('规则验证失败:', e.message);
+        } finally {
+            testStyle.remove();
+        }
+        
+        return diagnostics;
+    }
+    
     /**
      * 优化CSS
      * @param {string} css - CSS内容
@@ -0,0 +1,57 @@
+/**
+ * CSS处理 Worker - 在后台线程中处理主题输入框的内容
+ * 负责：解析、提取脚本和 @add 命令、拆分顶层规则，并与上一次的规则对比出变化范围
+ * 说明：这里只做纯计算，不访问 DOM；浏览器验证和样式应用仍在主线程（见 processingWorker.js）
+ *      消息协议：
+ *        主线程 -> Worker  {id, type: 'process', content}
+ *        Worker -> 主线程  {id, type: 'result', result, diff} 或 {id, type: 'error', message}
+ *      diff 为 {base, prefix, suffix}：与第 base 次请求的规则相比，前 prefix 条和后 suffix 条没有变化
+ */
+
+import { CSSProcessor } from './cssProcessor.js';
+import { Logger } from './logger.js';
+
+// Worker 中没有扩展的设置和日志存储，只把警告和错误输出到控制台
+const logger = new Logger();
+logger.setLevel('warn');
+
+const processor = new CSSProcessor(null, logger);
+
+// 上一次请求的规则 {id, rules}
+let previous = null;
+
+/**
+ * 对比两次的规则列表，得到相同的前缀和后缀长度
+ */
+function diffRules(oldRules, newRules) {
+  let prefix = 0;
+  while (prefix < oldRules.length && prefix < newRules.length && oldRules[prefix] === newRules[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < oldRules.length - prefix && suffix < newRules.length - prefix &&
+    oldRules[oldRules.length - 1 - suffix] === newRules[newRules.length - 1 - suffix]) {
+    suffix++;
+  }
+  return { prefix, suffix };
+}
+
+self.addEventListener('message', (event) => {
+  const { id, type, content } = event.data || {};
+  if (type !== 'process') return;
+
+  try {
+    const result = processor.process(content);
+
+    let diff = null;
+    if (previous && previous.rules && result.rules) {
+      diff = { base: previous.id, ...diffRules(previous.rules, result.rules) };
+    }
+    previous = { id, rules: result.rules };
+
+    self.postMessage({ id, type: 'result', result, diff });
+  } catch (error) {
+    previous = null;
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+});
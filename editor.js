@@ -0,0 +1,941 @@
+/**
+ * 编辑器模块 - 扩展面板内的 CSS 编辑器
+ * 负责：CSS / @add 指令 / <script> 块的语法高亮、括号匹配、
+ *      选择器与 @add 参数的自动补全、行内诊断（波浪线 + 行号标记）
+ * 说明：透明 textarea 叠在高亮层之上，输入仍由浏览器原生处理；不依赖任何外部库。
+ *      词法分析复用 CSSParser.tokenize，与实际处理使用同一套规则。
+ *      高亮层只生成可见区域附近的行，编辑器不可见时（面板关闭）不渲染，内容过长时只显示纯文本
+ */
+
+import { CSSParser } from './cssParser.js';
+import { CSSProcessor } from './cssProcessor.js';
+
+// 可匹配的括号
+const BRACKETS = { '{': '}', '(': ')', '[': ']' };
+const CLOSING = { '}': '{', ')': '(', ']': '[' };
+
+// 脚本块内的简单高亮规则
+const JS_PATTERN = new RegExp([
+  '(\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?(?:\\*\\/|$))', // 注释
+  '(`(?:\\\\[\\s\\S]|[^`\\\\])*`?|"(?:\\\\.|[^"\\\\\\n])*"?|\'(?:\\\\.|[^\'\\\\\\n])*\'?)', // 字符串
+  '\\b(const|let|var|function|return|if|else|for|while|do|switch|case|default|break|continue|new|class|extends|import|export|from|async|await|try|catch|finally|throw|typeof|instanceof|in|of|this|null|undefined|true|false)\\b', // 关键字
+  '\\b(\\d+(?:\\.\\d+)?)\\b' // 数字
+].join('|'), 'g');
+
+// @ 开头时补全的 at 规则
+const AT_RULES = ['@add:', '@media', '@container', '@supports', '@keyframes', '@font-face', '@import', '@layer'];
+
+// @add 指令参数
+const ADD_KEYWORDS = [
+  'once', 'flow', ...CSSProcessor.INSERT_MODES,
+  'center', 'center-x', 'center-y',
+  'top-', 'right-', 'bottom-', 'left-', 'inset-', 'image'
+];
+
+// 补全列表最多显示的条数
+const MAX_COMPLETIONS = 50;
+
+// 超过该长度（字符数）时不做词法分析和高亮，只显示纯文本
+const MAX_HIGHLIGHT_LENGTH = 100000;
+
+// 可见区域上下额外渲染的行数，小幅滚动时不需要重新渲染
+const RENDER_MARGIN = 50;
+
+export class CSSEditor {
+  /**
+   * @param {HTMLElement} host - 编辑器挂载的容器
+   * @param {Object} options - {value, placeholder, onChange(value), onBlur(value)}
+   */
+  constructor(host, options = {}) {
+    this.host = host;
+    this.options = options;
+    this.parser = new CSSParser();
+
+    this.diagnostics = [];
+    this.tokens = [];
+    this.classes = []; // 每个词法单元的高亮类别
+    this.brackets = new Map(); // key: 括号偏移, value: 配对括号偏移
+    this.matchedBrackets = [];
+
+    // 自动补全状态
+    this.completions = [];
+    this.completionIndex = 0;
+    this.completionRange = null; // 被替换的区间 {start, end}
+
+    // 页面选择器缓存
+    this.selectorCache = null;
+    this.selectorCacheTime = 0;
+
+    // 渲染状态
+    this.renderFrame = null;
+    this.renderedValue = null; // 已分析的内容，内容不变时（滚动、括号匹配）只重新生成可见行
+    this.renderedRange = null; // 已渲染的行 {first, last}
+    this.lines = { starts: [0], width: 0 }; // 每行的起始偏移、最长行的列数
+    this.plain = false; // 内容过长，只显示纯文本
+    this.visible = true;
+    this.stale = true; // 不可见期间有未完成的渲染
+
+    this.createDOM();
+    this.bindEvents();
+    this.observeVisibility();
+    this.setValue(options.value || '');
+  }
+
+  /**
+   * 创建编辑器结构：行号栏 + 高亮层 + 透明输入框 + 补全列表
+   */
+  createDOM() {
+    this.root = document.createElement('div');
+    this.root.className = 'ecss-editor';
+    this.root.innerHTML = `
+            <div class="ecss-editor-gutter" aria-hidden="true"></div>
+            <div class="ecss-editor-body">
+                <pre class="ecss-editor-highlight" aria-hidden="true"><code></code></pre>
+                <textarea class="ecss-editor-input" spellcheck="false" autocomplete="off" autocapitalize="off" wrap="off"></textarea>
+            </div>
+            <ul class="ecss-editor-completions" role="listbox" style="display: none;"></ul>
+        `;
+
+    this.gutter = this.root.querySelector('.ecss-editor-gutter');
+    this.highlight = this.root.querySelector('.ecss-editor-highlight');
+    this.code = this.highlight.querySelector('code');
+    this.input = this.root.querySelector('.ecss-editor-input');
+    this.completionList = this.root.querySelector('.ecss-editor-completions');
+
+    if (this.options.placeholder) {
+      this.input.placeholder = this.options.placeholder;
+    }
+
+    this.host.appendChild(this.root);
+  }
+
+  /**
+   * 绑定输入、滚动、光标移动和补全按键
+   */
+  bindEvents() {
+    this.input.addEventListener('input', () => {
+      this.scheduleRender();
+      this.updateCompletions(false);
+      if (this.options.onChange) this.options.onChange(this.input.value);
+    });
+
+    this.input.addEventListener('scroll', () => {
+      this.syncScroll();
+      this.updateViewport();
+    });
+
+    // 光标移动后刷新括号匹配
+    ['click', 'keyup', 'focus'].forEach(type => {
+      this.input.addEventListener(type, (e) => {
+        if (type === 'keyup' && ['ArrowUp', 'ArrowDown', 'Enter', 'Tab', 'Escape'].includes(e.key) && this.isCompleting()) return;
+        this.updateBracketMatch();
+      });
+    });
+
+    this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    this.input.addEventListener('blur', () => {
+      // 延迟关闭，保证点击补全项时能先处理点击
+      setTimeout(() => this.hideCompletions(), 150);
+      if (this.options.onBlur) this.options.onBlur(this.input.value);
+    });
+
+    this.completionList.addEventListener('mousedown', (e) => {
+      const item = e.target.closest('li[data-index]');
+      if (!item) return;
+      e.preventDefault();
+      this.acceptCompletion(Number(item.dataset.index));
+    });
+  }
+
+  /**
+   * 只在可见时渲染：不可见期间的修改记为未渲染，重新显示后补上；
+   * 尺寸变化后补齐新露出的行
+   */
+  observeVisibility() {
+    if (typeof IntersectionObserver !== 'undefined') {
+      this.visible = false;
+      this.visibilityObserver = new IntersectionObserver((entries) => {
+        this.visible = entries[entries.length - 1].isIntersecting;
+        if (this.visible && this.stale) this.scheduleRender();
+      });
+      this.visibilityObserver.observe(this.root);
+    }
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(() => this.updateViewport());
+      this.resizeObserver.observe(this.input);
+    }
+  }
+
+  /**
+   * 按键处理：补全列表导航、Ctrl+Space 手动补全、Tab 缩进
+   */
+  handleKeydown(e) {
+    if (this.isCompleting()) {
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          this.selectCompletion(this.completionIndex + 1);
+          return;
+        case 'ArrowUp':
+          e.preventDefault();
+          this.selectCompletion(this.completionIndex - 1);
+          return;
+        case 'Enter':
+        case 'Tab':
+          e.preventDefault();
+          this.acceptCompletion(this.completionIndex);
+          return;
+        case 'Escape':
+          e.preventDefault();
+          e.stopPropagation();
+          this.hideCompletions();
+          return;
+      }
+    }
+
+    if (e.key === ' ' && e.ctrlKey) {
+      e.preventDefault();
+      this.updateCompletions(true);
+      return;
+    }
+
+    if (e.key === 'Tab' && !e.ctrlKey && !e.altKey && !e.metaKey) {
+      e.preventDefault();
+      this.insertText('  ');
+    }
+  }
+
+  /**
+   * 获取内容
+   */
+  getValue() {
+    return this.input.value;
+  }
+
+  /**
+   * 设置内容（不触发 onChange），尽量保留光标和滚动位置
+   */
+  setValue(value) {
+    if (value === this.input.value) return;
+
+    const { selectionStart, selectionEnd, scrollTop, scrollLeft } = this.input;
+    this.input.value = value;
+    this.input.setSelectionRange(Math.min(selectionStart, value.length), Math.min(selectionEnd, value.length));
+    this.input.scrollTop = scrollTop;
+    this.input.scrollLeft = scrollLeft;
+
+    this.hideCompletions();
+    this.scheduleRender();
+  }
+
+  /**
+   * 设置行内诊断
+   * @param {Array} diagnostics - {severity, message, line, offset}
+   */
+  setDiagnostics(diagnostics) {
+    this.diagnostics = diagnostics || [];
+    this.scheduleRender();
+  }
+
+  /**
+   * 聚焦并选中指定位置所在的行
+   * @param {number} offset - 内容偏移量
+   */
+  revealOffset(offset) {
+    const value = this.input.value;
+    const start = Math.min(offset, value.length);
+    const lineEnd = value.indexOf('\n', start);
+
+    this.input.focus();
+    this.input.setSelectionRange(start, lineEnd === -1 ? value.length : lineEnd);
+
+    const line = value.slice(0, start).split('\n').length;
+    this.input.scrollTop = Math.max(0, (line - 3) * this.getLineHeight());
+    this.syncScroll();
+    this.updateBracketMatch();
+  }
+
+  /**
+   * 在光标处插入文本
+   */
+  insertText(text) {
+    const { selectionStart, selectionEnd } = this.input;
+    this.replaceRange(selectionStart, selectionEnd, text);
+    this.input.setSelectionRange(selectionStart + text.length, selectionStart + text.length);
+  }
+
+  /**
+   * 替换区间内容，并按用户输入处理（触发 input 事件）
+   */
+  replaceRange(start, end, text) {
+    this.input.focus();
+    this.input.setSelectionRange(start, end);
+
+    // execCommand 保留浏览器的撤销记录，不可用时直接修改内容
+    if (!document.execCommand || !document.execCommand('insertText', false, text)) {
+      const value = this.input.value;
+      this.input.value = value.slice(0, start) + text + value.slice(end);
+      this.input.setSelectionRange(start + text.length, start + text.length);
+      this.input.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+  }
+
+  // ===== 渲染 =====
+
+  /**
+   * 合并同一帧内的多次渲染，不可见时推迟到重新显示
+   */
+  scheduleRender() {
+    if (!this.visible) {
+      this.stale = true;
+      return;
+    }
+    if (this.renderFrame) return;
+    this.renderFrame = requestAnimationFrame(() => {
+      this.renderFrame = null;
+      this.render();
+    });
+  }
+
+  /**
+   * 滚动或尺寸变化后，可见的行超出已渲染的范围时重新渲染
+   */
+  updateViewport() {
+    if (!this.renderedRange) return;
+    const { first, last } = this.getVisibleLines();
+    if (first < this.renderedRange.first || last > this.renderedRange.last) {
+      this.scheduleRender();
+    }
+  }
+
+  /**
+   * 输入框可见区域内的行 [first, last)
+   */
+  getVisibleLines() {
+    const count = this.lines.starts.length;
+    const lineHeight = this.getLineHeight();
+    const { scrollTop, clientHeight } = this.input;
+    return {
+      first: Math.min(count - 1, Math.floor(scrollTop / lineHeight)),
+      last: Math.min(count, Math.ceil((scrollTop + clientHeight) / lineHeight))
+    };
+  }
+
+  /**
+   * 重新生成高亮层和行号栏（只生成可见区域附近的行，内容变化时才重新分析）
+   */
+  render() {
+    if (this.renderFrame) {
+      cancelAnimationFrame(this.renderFrame);
+      this.renderFrame = null;
+    }
+    this.stale = false;
+
+    const value = this.input.value;
+    if (value !== this.renderedValue) {
+      this.renderedValue = value;
+      this.lines = this.indexLines(value);
+      this.plain = value.length > MAX_HIGHLIGHT_LENGTH;
+      this.tokens = this.plain ? [] : this.parser.tokenize(value);
+      this.classes = this.classifyTokens(this.tokens);
+      this.brackets = this.matchBrackets(this.tokens);
+    }
+    this.matchedBrackets = this.findBracketsAtCaret();
+
+    const count = this.lines.starts.length;
+    const visible = this.getVisibleLines();
+    const first = Math.max(0, visible.first - RENDER_MARGIN);
+    const last = Math.min(count, visible.last + RENDER_MARGIN);
+    this.renderedRange = { first, last };
+
+    const start = this.lines.starts[first];
+    const end = last < count ? this.lines.starts[last] : value.length;
+    const html = this.plain ? this.escapeHTML(value.slice(start, end)) : this.highlightRange(value, start, end);
+
+    // 范围外的行用空行占位，保持滚动高度；最小宽度按最长行计算，保持横向滚动范围与输入框一致。
+    // 末尾补一个换行，保证最后一行为空行时高度与输入框一致
+    this.code.style.minWidth = `${this.lines.width * this.getCharWidth()}px`;
+    this.code.innerHTML = '\n'.repeat(first) + html + '\n'.repeat(Math.max(0, count - 1 - last)) + '\n';
+    this.renderGutter(count, first, last);
+    this.syncScroll();
+  }
+
+  /**
+   * 每行的起始偏移和最长行的列数（Tab 按 2 列计算）
+   */
+  indexLines(value) {
+    const starts = [0];
+    let width = 0;
+    let column = 0;
+    for (let i = 0; i < value.length; i++) {
+      const code = value.charCodeAt(i);
+      if (code === 10) {
+        starts.push(i + 1);
+        width = Math.max(width, column);
+        column = 0;
+      } else {
+        column += code === 9 ? 2 : 1;
+      }
+    }
+    return { starts, width: Math.max(width, column) };
+  }
+
+  /**
+   * 行号栏：只生成 [first, last) 的行号，其余用占位撑开高度；出错的行加标记，悬停显示诊断内容
+   */
+  renderGutter(count, first, last) {
+    const byLine = new Map();
+    this.diagnostics.forEach(d => {
+      const current = byLine.get(d.line);
+      if (!current || (current.severity !== 'error' && d.severity === 'error')) {
+        byLine.set(d.line, { severity: d.severity, messages: [...(current ? current.messages : []), d.message] });
+      } else {
+        current.messages.push(d.message);
+      }
+    });
+
+    const lineHeight = this.getLineHeight();
+    const lines = [`<div style="height: ${first * lineHeight}px"></div>`];
+    for (let line = first + 1; line <= last; line++) {
+      const marker = byLine.get(line);
+      lines.push(marker
+        ? `<div class="ecss-gutter-line severity-${marker.severity}" title="${this.escapeHTML(marker.messages.join('\n'))}">${line}</div>`
+        : `<div class="ecss-gutter-line">${line}</div>`);
+    }
+    lines.push(`<div style="height: ${(count - last) * lineHeight}px"></div>`);
+    this.gutter.innerHTML = lines.join('');
+  }
+
+  /**
+   * 高亮层与行号栏跟随输入框滚动
+   */
+  syncScroll() {
+    this.highlight.scrollTop = this.input.scrollTop;
+    this.highlight.scrollLeft = this.input.scrollLeft;
+    this.gutter.scrollTop = this.input.scrollTop;
+  }
+
+  /**
+   * 生成 [start, end) 范围内的高亮HTML，只处理与范围相交的词法单元
+   */
+  highlightRange(source, start, end) {
+    const tokens = this.tokens;
+    const marks = this.getDiagnosticMarks(tokens);
+    const matched = new Set(this.matchedBrackets);
+
+    // 截取到渲染范围内并转义
+    const clip = (from, to) => this.escapeHTML(source.slice(Math.max(from, start), Math.min(to, end)));
+
+    let html = '';
+    for (let i = this.findTokenIndex(start); i < tokens.length && tokens[i].start < end; i++) {
+      const token = tokens[i];
+      if (token.type === 'whitespace') {
+        html += clip(token.start, token.end);
+        continue;
+      }
+
+      const names = [this.classes[i]];
+      if (matched.has(token.start)) names.push('ecss-bracket-match');
+      if (BRACKETS[token.type] || CLOSING[token.type]) {
+        if (!this.brackets.has(token.start)) names.push('ecss-bracket-unmatched');
+      }
+
+      const mark = marks.get(i);
+      if (mark) names.push(`ecss-diag ecss-diag-${mark.severity}`);
+      const title = mark ? ` title="${this.escapeHTML(mark.message)}"` : '';
+
+      const content = token.type === 'script'
+        ? this.highlightScript(token, clip, end)
+        : clip(token.start, token.end);
+
+      html += `<span class="${names.filter(Boolean).join(' ')}"${title}>${content}</span>`;
+    }
+    return html;
+  }
+
+  /**
+   * 第一个结束位置在偏移之后的词法单元下标（二分查找）
+   */
+  findTokenIndex(offset) {
+    let low = 0;
+    let high = this.tokens.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.tokens[mid].end > offset) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * 为每个词法单元确定高亮类别
+   * 按语句判断上下文：选择器（后面先遇到 {）、声明（属性: 值）、at 规则前导、@add 指令
+   */
+  classifyTokens(tokens) {
+    const classes = new Array(tokens.length).fill('');
+    let statement = null; // 'selector' | 'declaration' | 'at' | 'directive'
+    let afterColon = false;
+    let directiveDepth = 0; // @add 指令内联样式的花括号层级
+    let directiveWords = 0;
+
+    const startStatement = (index) => {
+      for (let j = index; j < tokens.length; j++) {
+        const type = tokens[j].type;
+        if (type === '{') return 'selector';
+        if (type === ';' || type === '}') return 'declaration';
+      }
+      return 'declaration';
+    };
+
+    tokens.forEach((token, i) => {
+      switch (token.type) {
+        case 'whitespace':
+          return;
+        case 'comment':
+          classes[i] = 'ecss-t-comment';
+          return;
+        case 'script':
+          classes[i] = 'ecss-t-script';
+          return;
+        case 'string':
+          classes[i] = statement === 'directive' && directiveWords === 1 ? 'ecss-t-add-content' : 'ecss-t-string';
+          if (statement === 'directive') directiveWords++;
+          return;
+        case 'url':
+          classes[i] = 'ecss-t-function';
+          return;
+      }
+
+      if (statement === 'directive') {
+        if (token.type === '{') directiveDepth++;
+        if (token.type === '}' && directiveDepth > 0) {
+          directiveDepth--;
+          classes[i] = 'ecss-t-punct';
+          return;
+        }
+        if (directiveDepth === 0 && (token.type === ';' || token.type === '}')) {
+          statement = null;
+        } else {
+          if (token.type === 'word') {
+            classes[i] = directiveDepth > 0
+              ? 'ecss-t-value'
+              : directiveWords === 0 ? 'ecss-t-add-name' : 'ecss-t-add-keyword';
+            directiveWords++;
+          } else {
+            classes[i] = 'ecss-t-punct';
+          }
+          return;
+        }
+      }
+
+      if (token.type === 'at-keyword') {
+        statement = token.name === 'add' ? 'directive' : 'at';
+        directiveDepth = 0;
+        directiveWords = 0;
+        classes[i] = token.name === 'add' ? 'ecss-t-add' : 'ecss-t-at';
+        return;
+      }
+
+      if (token.type === '{' || token.type === '}' || token.type === ';') {
+        statement = null;
+        afterColon = false;
+        classes[i] = 'ecss-t-punct';
+        return;
+      }
+
+      if (!statement) {
+        statement = startStatement(i);
+        afterColon = false;
+      }
+
+      if (token.type === ':' && statement === 'declaration') {
+        afterColon = true;
+        classes[i] = 'ecss-t-punct';
+        return;
+      }
+
+      if (token.type !== 'word') {
+        classes[i] = 'ecss-t-punct';
+        return;
+      }
+
+      if (statement === 'selector') {
+        classes[i] = 'ecss-t-selector';
+      } else if (statement === 'at') {
+        classes[i] = 'ecss-t-prelude';
+      } else if (!afterColon) {
+        classes[i] = 'ecss-t-property';
+      } else if (/^!important$/i.test(token.value)) {
+        classes[i] = 'ecss-t-important';
+      } else if (/^#[0-9a-f]{3,8}$/i.test(token.value)) {
+        classes[i] = 'ecss-t-color';
+      } else if (/^-?[\d.]+[a-z%]*$/i.test(token.value)) {
+        classes[i] = 'ecss-t-number';
+      } else if (tokens[i + 1] && tokens[i + 1].type === '(') {
+        classes[i] = 'ecss-t-function';
+      } else {
+        classes[i] = 'ecss-t-value';
+      }
+    });
+
+    return classes;
+  }
+
+  /**
+   * 脚本块：标签与内容分别高亮
+   * @param {Object} token - 脚本词法单元
+   * @param {Function} clip - (from, to) => 截取到渲染范围内并转义的内容
+   * @param {number} end - 渲染范围的结束偏移，之后的内容不再处理
+   */
+  highlightScript(token, clip, end) {
+    const contentEnd = token.contentStart + token.content.length;
+
+    let html = '';
+    let last = token.contentStart;
+    for (const match of token.content.matchAll(JS_PATTERN)) {
+      const from = token.contentStart + match.index;
+      if (from >= end) break;
+
+      const [text, comment, string, keyword] = match;
+      const type = comment ? 'comment' : string ? 'string' : keyword ? 'keyword' : 'number';
+      html += clip(last, from);
+      html += `<span class="ecss-js-${type}">${clip(from, from + text.length)}</span>`;
+      last = from + text.length;
+    }
+    html += clip(last, contentEnd);
+
+    return `<span class="ecss-t-tag">${clip(token.start, token.contentStart)}</span>${html}<span class="ecss-t-tag">${clip(contentEnd, token.end)}</span>`;
+  }
+
+  /**
+   * 诊断位置 -> 词法单元下标（落在空白上时标记后面的第一个单元）
+   * @returns {Map} key: 下标, value: 诊断
+   */
+  getDiagnosticMarks(tokens) {
+    const marks = new Map();
+    this.diagnostics.forEach(d => {
+      let index = this.findTokenIndex(d.offset);
+      while (index < tokens.length && tokens[index].type === 'whitespace') index++;
+      if (index >= tokens.length) index = tokens.length - 1;
+      if (index < 0) return;
+
+      const current = marks.get(index);
+      if (!current || (current.severity !== 'error' && d.severity === 'error')) {
+        marks.set(index, d);
+      }
+    });
+    return marks;
+  }
+
+  // ===== 括号匹配 =====
+
+  /**
+   * 配对全部括号（字符串、注释和脚本已在词法分析中排除）
+   * @returns {Map} key: 括号偏移, value: 配对括号偏移
+   */
+  matchBrackets(tokens) {
+    const pairs = new Map();
+    const stack = [];
+
+    tokens.forEach(token => {
+      if (BRACKETS[token.type]) {
+        stack.push(token);
+      } else if (CLOSING[token.type]) {
+        // 跳过不匹配的开括号，找到同类的开括号
+        for (let j = stack.length - 1; j >= 0; j--) {
+          if (stack[j].type === CLOSING[token.type]) {
+            pairs.set(stack[j].start, token.start);
+            pairs.set(token.start, stack[j].start);
+            stack.length = j;
+            break;
+          }
+        }
+      }
+    });
+
+    return pairs;
+  }
+
+  /**
+   * 光标前后的括号及其配对括号
+   */
+  findBracketsAtCaret() {
+    const caret = this.input.selectionStart;
+    if (this.input.selectionEnd !== caret) return [];
+
+    for (const offset of [caret - 1, caret]) {
+      if (this.brackets.has(offset)) {
+        return [offset, this.brackets.get(offset)];
+      }
+    }
+    return [];
+  }
+
+  /**
+   * 光标移动后，只有匹配结果变化时才重新渲染
+   */
+  updateBracketMatch() {
+    const matched = this.findBracketsAtCaret();
+    if (matched.join() !== this.matchedBrackets.join()) {
+      this.scheduleRender();
+    }
+  }
+
+  // ===== 自动补全 =====
+
+  /**
+   * 根据光标位置计算补全候选
+   * @param {boolean} explicit - 是否由 Ctrl+Space 手动触发（手动触发时空前缀也显示）
+   */
+  updateCompletions(explicit) {
+    const caret = this.input.selectionStart;
+    if (this.input.selectionEnd !== caret) {
+      this.hideCompletions();
+      return;
+    }
+
+    const value = this.input.value;
+    const before = value.slice(0, caret);
+    const prefix = (before.match(/[@.#]?[\w-]*$/) || [''])[0];
+    const context = this.getContext(before.slice(0, before.length - prefix.length), caret - prefix.length);
+
+    if (!context || (!explicit && prefix.length < 1)) {
+      this.hideCompletions();
+      return;
+    }
+
+    const candidates = this.getCandidates(context, prefix);
+    const lower = prefix.toLowerCase();
+    const matches = candidates
+      .filter(item => item.toLowerCase().startsWith(lower) && item !== prefix)
+      .slice(0, MAX_COMPLETIONS);
+
+    if (matches.length === 0) {
+      this.hideCompletions();
+      return;
+    }
+
+    this.completions = matches;
+    this.completionIndex = 0;
+    this.completionRange = { start: caret - prefix.length, end: caret };
+    this.showCompletions();
+  }
+
+  /**
+   * 判断光标所在的上下文
+   * @param {string} before - 前缀之前的内容
+   * @param {number} offset - 前缀开始位置
+   * @returns {string|null} 'selector' | 'property' | 'value' | 'add' | null（字符串、注释、脚本内）
+   */
+  getContext(before, offset) {
+    const token = this.tokens.find(item => item.start < offset && item.end > offset);
+    if (token && ['comment', 'string', 'script', 'url'].includes(token.type)) return null;
+
+    // 当前语句：上一个 { } ; 之后的内容
+    const statement = before.slice(Math.max(before.lastIndexOf('{'), before.lastIndexOf('}'), before.lastIndexOf(';')) + 1);
+
+    if (/@add\s*:/i.test(statement)) return 'add';
+
+    const depth = this.getDepth(offset);
+    if (depth === 0 || /^\s*[^:]*$/.test(statement) && this.isSelectorStatement(offset)) {
+      return /^\s*@/.test(statement) ? 'value' : 'selector';
+    }
+
+    return /:/.test(statement) ? 'value' : 'property';
+  }
+
+  /**
+   * 偏移处的花括号层级
+   */
+  getDepth(offset) {
+    let depth = 0;
+    for (const token of this.tokens) {
+      if (token.start >= offset) break;
+      if (token.type === '{') depth++;
+      if (token.type === '}') depth = Math.max(0, depth - 1);
+    }
+    return depth;
+  }
+
+  /**
+   * 嵌套规则：光标之后先遇到 { 说明是选择器
+   */
+  isSelectorStatement(offset) {
+    for (const token of this.tokens) {
+      if (token.start < offset) continue;
+      if (token.type === '{') return true;
+      if (token.type === ';' || token.type === '}') return false;
+    }
+    return false;
+  }
+
+  /**
+   * 各上下文的候选项
+   */
+  getCandidates(context, prefix) {
+    if (prefix.startsWith('@')) {
+      return context === 'value' ? [] : AT_RULES;
+    }
+
+    switch (context) {
+      case 'selector':
+        return this.getPageSelectors();
+      case 'add':
+        return prefix.startsWith('.') || prefix.startsWith('#') ? this.getPageSelectors() : ADD_KEYWORDS;
+      case 'property':
+        return this.getPropertyNames();
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * 页面上现有的类名和ID（不含扩展自己的面板和装饰元素），缓存5秒
+   */
+  getPageSelectors() {
+    const now = Date.now();
+    if (this.selectorCache && now - this.selectorCacheTime < 5000) {
+      return this.selectorCache;
+    }
+
+    const classes = new Set();
+    const ids = new Set();
+    const elements = document.querySelectorAll('body [class], body [id]');
+    const limit = Math.min(elements.length, 20000);
+
+    for (let i = 0; i < limit; i++) {
+      const el = elements[i];
+      if (this.root.contains(el) || el.closest('#EnhancedCustomCSSPlus_settings, [data-enhanced-css-element]')) continue;
+      el.classList.forEach(name => classes.add(`.${name}`));
+      if (el.id) ids.add(`#${el.id}`);
+    }
+
+    this.selectorCache = [...Array.from(ids).sort(), ...Array.from(classes).sort()];
+    this.selectorCacheTime = now;
+    return this.selectorCache;
+  }
+
+  /**
+   * 浏览器支持的 CSS 属性名
+   */
+  getPropertyNames() {
+    if (!this.propertyNames) {
+      const names = new Set();
+      const style = document.documentElement.style;
+      for (const key in style) {
+        if (typeof style[key] === 'string' && /^[a-z]/i.test(key) && key !== 'cssText') {
+          names.add(key.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`).replace(/^webkit-/, '-webkit-'));
+        }
+      }
+      this.propertyNames = Array.from(names).sort();
+    }
+    return this.propertyNames;
+  }
+
+  isCompleting() {
+    return this.completions.length > 0 && this.completionList.style.display !== 'none';
+  }
+
+  /**
+   * 在光标下方显示补全列表
+   */
+  showCompletions() {
+    this.completionList.innerHTML = this.completions.map((item, i) => `
+            <li data-index="${i}" role="option" class="${i === this.completionIndex ? 'selected' : ''}">${this.escapeHTML(item)}</li>
+        `).join('');
+
+    const { left, top } = this.getCaretPosition(this.completionRange.start);
+    this.completionList.style.left = `${left}px`;
+    this.completionList.style.top = `${top}px`;
+    this.completionList.style.display = '';
+  }
+
+  hideCompletions() {
+    this.completions = [];
+    this.completionRange = null;
+    this.completionList.style.display = 'none';
+  }
+
+  selectCompletion(index) {
+    const count = this.completions.length;
+    this.completionIndex = (index + count) % count;
+    this.completionList.querySelectorAll('li').forEach((item, i) => {
+      item.classList.toggle('selected', i === this.completionIndex);
+      if (i === this.completionIndex) item.scrollIntoView({ block: 'nearest' });
+    });
+  }
+
+  /**
+   * 用选中的候选项替换前缀
+   */
+  acceptCompletion(index) {
+    const item = this.completions[index];
+    const range = this.completionRange;
+    this.hideCompletions();
+    if (item === undefined || !range) return;
+
+    this.replaceRange(range.start, range.end, item);
+  }
+
+  /**
+   * 计算偏移处在编辑器中的坐标（等宽字体，按行列估算），用于定位补全列表
+   */
+  getCaretPosition(offset) {
+    const before = this.input.value.slice(0, offset);
+    const lines = before.split('\n');
+    const column = lines[lines.length - 1].replace(/\t/g, '  ').length;
+
+    const style = getComputedStyle(this.input);
+    const paddingLeft = parseFloat(style.paddingLeft) || 0;
+    const paddingTop = parseFloat(style.paddingTop) || 0;
+
+    return {
+      left: this.gutter.offsetWidth + paddingLeft + column * this.getCharWidth() - this.input.scrollLeft,
+      top: paddingTop + lines.length * this.getLineHeight() - this.input.scrollTop
+    };
+  }
+
+  getLineHeight() {
+    return parseFloat(getComputedStyle(this.input).lineHeight) || 18;
+  }
+
+  /**
+   * 等宽字体的字符宽度（首次使用时测量）
+   */
+  getCharWidth() {
+    if (!this.charWidth) {
+      const probe = document.createElement('span');
+      probe.textContent = 'x'.repeat(20);
+      this.code.appendChild(probe);
+      this.charWidth = probe.getBoundingClientRect().width / 20 || 7.2;
+      probe.remove();
+    }
+    return this.charWidth;
+  }
+
+  /**
+   * HTML转义
+   */
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * 移除编辑器
+   */
+  destroy() {
+    if (this.renderFrame) cancelAnimationFrame(this.renderFrame);
+    if (this.visibilityObserver) this.visibilityObserver.disconnect();
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    this.root.remove();
+  }
+}
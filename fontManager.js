@@ -7,12 +7,16 @@
  * - 2025-09-05: 添加删除标签功能
  * - 2025-09-05: 修复字体功能开关逻辑，禁用时不允许设置当前字体
  * - 2025-09-05: 修复currentFont云端同步问题，确保字体选择能正确保存
+ * - 2026-10-19: 日志改用共享的 Logger，可按级别和模块过滤
  */
 
+import { Logger } from './logger.js';
+
 export class FontManager {
-  constructor(storage, core) {
+  constructor(storage, core, logger = new Logger()) {
     this.storage = storage;
     this.core = core;
+    this.logger = logger.child('FontManager');
 
     // 字体列表
     this.fonts = new Map(); // key: fontName, value: font object
@@ -57,7 +61,7 @@ export class FontManager {
       }
     }
 
-    console.log('[FontManager] 字体管理器初始化完成，已加载', this.fonts.size, '个字体，字体功能', this.fontEnabled ? '已启用' : '已禁用');
+    this.logger.info('字体管理器初始化完成，已加载', this.fonts.size, '个字体，字体功能', this.fontEnabled ? '已启用' : '已禁用');
   }
 
   /**
@@ -82,7 +86,7 @@ export class FontManager {
     // 触发事件
     this.emit('fontEnabledChanged', enabled);
 
-    console.log('[FontManager] 字体功能', enabled ? '已启用' : '已禁用');
+    this.logger.info('字体功能', enabled ? '已启用' : '已禁用');
   }
 
   /**
@@ -92,7 +96,7 @@ export class FontManager {
   applyFont(font) {
     // 只有在字体功能启用时才应用
     if (!this.fontEnabled) {
-      console.log('[FontManager] 字体功能已禁用，跳过应用字体');
+      this.logger.info('字体功能已禁用，跳过应用字体');
       return;
     }
 
@@ -120,7 +124,7 @@ export class FontManager {
     }
 
     document.head.appendChild(style);
-    console.log('[FontManager] 已应用字体:', font.name);
+    this.logger.info('已应用字体:', font.name);
   }
 
   /**
@@ -130,7 +134,7 @@ export class FontManager {
     const existingStyle = document.getElementById('enhanced-font-style');
     if (existingStyle) {
       existingStyle.remove();
-      console.log('[FontManager] 已清除应用的字体');
+      this.logger.info('已清除应用的字体');
     }
   }
 
@@ -140,7 +144,7 @@ export class FontManager {
    */
   async deleteTag(tagToDelete) {
     if (!this.tags.has(tagToDelete)) {
-      console.warn('[FontManager] 标签不存在:', tagToDelete);
+      this.logger.warn('标签不存在:', tagToDelete);
       return false;
     }
 
@@ -150,7 +154,7 @@ export class FontManager {
       if (font.tags && font.tags.includes(tagToDelete)) {
         font.tags = font.tags.filter(tag => tag !== tagToDelete);
         modified = true;
-        console.log(`[FontManager] 从字体 "${fontName}" 中移除标签 "${tagToDelete}"`);
+        this.logger.info(`从字体 "${fontName}" 中移除标签 "${tagToDelete}"`);
       }
     });
 
@@ -170,7 +174,7 @@ export class FontManager {
     // 触发事件
     this.emit('tagsChanged', { action: 'deleted', tag: tagToDelete });
 
-    console.log('[FontManager] 已删除标签:', tagToDelete);
+    this.logger.info('已删除标签:', tagToDelete);
     return true;
   }
 
@@ -183,7 +187,7 @@ export class FontManager {
     // 匹配 @import url 格式
     const importMatch = input.match(/@import\s+url\(["']([^"']+)["']\)/);
     if (!importMatch) {
-      console.warn('[FontManager] 无法解析字体链接');
+      this.logger.warn('无法解析字体链接');
       return null;
     }
 
@@ -231,7 +235,7 @@ export class FontManager {
 
     // 检查重复
     if (this.fonts.has(fontData.name)) {
-      console.warn('[FontManager] 字体已存在:', fontData.name);
+      this.logger.warn('字体已存在:', fontData.name);
       return false;
     }
 
@@ -249,7 +253,7 @@ export class FontManager {
     // 触发事件
     this.emit('fontAdded', fontData);
 
-    console.log('[FontManager] 添加字体:', fontData.name);
+    this.logger.info('添加字体:', fontData.name);
     return true;
   }
 
@@ -331,7 +335,7 @@ export class FontManager {
    */
   async setCurrentFont(fontName) {
     if (!this.fonts.has(fontName)) {
-      console.warn('[FontManager] 字体不存在:', fontName);
+      this.logger.warn('字体不存在:', fontName);
       return false;
     }
 
@@ -351,7 +355,7 @@ export class FontManager {
         this.applyFont(font);
       }
     } else {
-      console.log('[FontManager] 字体功能已禁用，已保存选择但不应用字体:', fontName);
+      this.logger.info('字体功能已禁用，已保存选择但不应用字体:', fontName);
     }
 
     // 触发事件
@@ -484,7 +488,7 @@ export class FontManager {
       data.fonts.forEach(font => {
         // 如果合并模式且字体已存在，跳过
         if (merge && this.fonts.has(font.name)) {
-          console.log('[FontManager] 跳过已存在的字体:', font.name);
+          this.logger.info('跳过已存在的字体:', font.name);
           return;
         }
 
@@ -518,10 +522,10 @@ export class FontManager {
       this.emit('fontsImported', { count: imported, total: data.fonts.length });
       this.emit('tagsChanged', { action: 'imported' });
 
-      console.log(`[FontManager] 导入完成，成功导入 ${imported}/${data.fonts.length} 个字体`);
+      this.logger.info(`导入完成，成功导入 ${imported}/${data.fonts.length} 个字体`);
       return imported;
     } catch (error) {
-      console.error('[FontManager] 导入失败:', error);
+      this.logger.error('导入失败:', error);
       throw error;
     }
   }
@@ -630,7 +634,7 @@ export class FontManager {
         try {
           callback(data);
         } catch (error) {
-          console.error(`[FontManager] 事件处理器错误 (${event}):`, error);
+          this.logger.error(`事件处理器错误 (${event}):`, error);
         }
       });
     }
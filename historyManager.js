@@ -0,0 +1,412 @@
+/**
+ * 历史版本模块 - 保存自定义CSS内容的快照
+ * 负责：记录每次处理的内容（带时间、主题名和可选标签），按数量和总大小滚动淘汰旧快照，
+ *      以及两个版本之间的逐行对比（供历史查看器并排显示）
+ * 说明：保存在 Storage 的 history 键中。连续编辑时同一主题在 mergeWindow 内的修改合并为一个快照，
+ *      带标签的快照不会被合并，淘汰时也优先保留。
+ *      自动记录会等停止输入 RECORD_DELAY 毫秒后才进行，连续输入时不会每次都更新快照和写入存储。
+ *      快照和设置一起保存（SillyTavern 中会同步到服务器），所以总大小默认限制得比较小，可在设置中修改
+ */
+
+// 全部快照的默认总字符数上限
+const DEFAULT_MAX_SIZE = 300000;
+
+// 自动记录的延迟（毫秒）
+const RECORD_DELAY = 3000;
+
+// 对比时逐行比较的最大规模（去掉相同的首尾后两边行数的乘积），超过时中间部分整体视为替换
+const MAX_DIFF_CELLS = 2000000;
+
+export class HistoryManager {
+  static DEFAULT_MAX_SIZE = DEFAULT_MAX_SIZE;
+
+  /**
+   * @param {Storage} storage - 存储
+   * @param {Object} logger - 日志
+   * @param {Object} options - {maxEntries, maxSize: 全部快照的总字符数, mergeWindow: 合并时间窗口（毫秒）}
+   */
+  constructor(storage, logger, options = {}) {
+    this.storage = storage;
+    this.logger = logger.child('HistoryManager');
+    this.maxEntries = options.maxEntries ?? 50;
+    this.maxSize = options.maxSize ?? DEFAULT_MAX_SIZE;
+    this.mergeWindow = options.mergeWindow ?? 60000;
+
+    // 快照列表，最新的在前 {id, content, theme, label, createdAt, updatedAt}
+    this.entries = [];
+    this.saveTimer = null;
+
+    // 等待记录的内容 {content, theme}
+    this.pendingRecord = null;
+    this.recordTimer = null;
+
+    // 事件监听器
+    this.listeners = new Map();
+  }
+
+  /**
+   * 初始化：加载保存的快照
+   */
+  async init() {
+    const saved = await this.storage.get('history', []);
+    this.entries = Array.isArray(saved) ? saved.filter(entry => entry && entry.id && typeof entry.content === 'string') : [];
+    this.entries.sort((a, b) => b.createdAt - a.createdAt);
+    this.logger.info(`已加载 ${this.entries.length} 个历史版本`);
+  }
+
+  /**
+   * 修改数量和大小上限，立即淘汰超出的快照
+   * @param {Object} options - {maxEntries, maxSize}
+   */
+  configure(options = {}) {
+    if (Number.isFinite(options.maxEntries)) this.maxEntries = Math.max(1, options.maxEntries);
+    if (Number.isFinite(options.maxSize)) this.maxSize = Math.max(0, options.maxSize);
+
+    const count = this.entries.length;
+    this.trim();
+    if (this.entries.length < count) {
+      this.logger.info(`超出历史版本上限，已淘汰 ${count - this.entries.length} 个旧版本`);
+      this.scheduleSave();
+      this.emit('historyChanged', { type: 'trim' });
+    }
+  }
+
+  /**
+   * 按时间从新到旧返回全部快照
+   */
+  getAll() {
+    return [...this.entries];
+  }
+
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * 记录一次处理的内容：允许合并时延迟到停止输入后记录，不允许合并时立即记录
+   * @param {string} content - 自定义CSS内容
+   * @param {string|null} theme - 主题名
+   * @param {Object} options - {merge: 是否允许合并到最近的快照，默认 true}
+   * @returns {Object|null} 新建或更新的快照（延迟记录或内容与该主题最近的快照相同时为 null）
+   */
+  record(content, theme, options = {}) {
+    if (options.merge !== false) {
+      this.pendingRecord = { content, theme };
+      clearTimeout(this.recordTimer);
+      this.recordTimer = setTimeout(() => this.flushRecord(), RECORD_DELAY);
+      return null;
+    }
+
+    this.flushRecord();
+    return this.recordNow(content, theme, options);
+  }
+
+  /**
+   * 立即记录等待中的内容
+   */
+  flushRecord() {
+    clearTimeout(this.recordTimer);
+    this.recordTimer = null;
+
+    const pending = this.pendingRecord;
+    this.pendingRecord = null;
+    if (pending) this.recordNow(pending.content, pending.theme);
+  }
+
+  /**
+   * 立即记录等待中的内容，并写入未保存的修改（页面卸载前调用）
+   */
+  flush() {
+    this.flushRecord();
+    if (this.saveTimer) this.save();
+  }
+
+  recordNow(content, theme, options = {}) {
+    if (!content) return null;
+
+    const latestOfTheme = this.entries.find(entry => entry.theme === theme);
+    if (latestOfTheme && latestOfTheme.content === content) return null;
+
+    const now = Date.now();
+    const latest = this.entries[0];
+
+    // 连续编辑：合并到最近的未标记快照中
+    if (options.merge !== false && latest && latest.theme === theme && !latest.label &&
+      now - latest.createdAt < this.mergeWindow) {
+      latest.content = content;
+      latest.updatedAt = now;
+      this.scheduleSave();
+      this.emit('historyChanged', { type: 'update', id: latest.id });
+      return latest;
+    }
+
+    const entry = this.createEntry(content, theme, '');
+    this.scheduleSave();
+    this.emit('historyChanged', { type: 'add', id: entry.id });
+    return entry;
+  }
+
+  /**
+   * 手动保存一个带标签的快照（总是新建）
+   * @param {string} content - 自定义CSS内容
+   * @param {string|null} theme - 主题名
+   * @param {string} label - 标签
+   */
+  async snapshot(content, theme, label = '') {
+    this.flushRecord();
+    const entry = this.createEntry(content || '', theme, String(label || '').trim());
+    await this.save();
+
+    this.logger.info(`保存快照: ${entry.label || new Date(entry.createdAt).toLocaleString()}`);
+    this.emit('historyChanged', { type: 'add', id: entry.id });
+    return entry;
+  }
+
+  createEntry(content, theme, label) {
+    const now = Date.now();
+    const entry = {
+      id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      content,
+      theme: theme || null,
+      label,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.entries.unshift(entry);
+    this.trim();
+    return entry;
+  }
+
+  /**
+   * 修改快照标签，空字符串表示去掉标签
+   */
+  async setLabel(id, label) {
+    const entry = this.get(id);
+    if (!entry) {
+      throw new Error(`历史版本不存在: ${id}`);
+    }
+
+    entry.label = String(label || '').trim();
+    await this.save();
+
+    this.emit('historyChanged', { type: 'update', id });
+    return entry;
+  }
+
+  async remove(id) {
+    const count = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.id !== id);
+    if (this.entries.length === count) return false;
+
+    await this.save();
+    this.emit('historyChanged', { type: 'remove', id });
+    return true;
+  }
+
+  /**
+   * 清空未标记的快照
+   * @param {boolean} includeLabeled - 是否同时删除带标签的快照
+   */
+  async clear(includeLabeled = false) {
+    this.entries = includeLabeled ? [] : this.entries.filter(entry => entry.label);
+    await this.save();
+
+    this.logger.info('已清空历史版本');
+    this.emit('historyChanged', { type: 'clear' });
+  }
+
+  /**
+   * 超过数量或总大小时从最旧的开始淘汰，先淘汰未标记的快照
+   */
+  trim() {
+    let totalSize = this.entries.reduce((sum, entry) => sum + entry.content.length, 0);
+
+    while (this.entries.length > 1 && (this.entries.length > this.maxEntries || totalSize > this.maxSize)) {
+      let index = -1;
+      for (let i = this.entries.length - 1; i > 0; i--) {
+        if (!this.entries[i].label) {
+          index = i;
+          break;
+        }
+      }
+      const [removed] = this.entries.splice(index === -1 ? this.entries.length - 1 : index, 1);
+      totalSize -= removed.content.length;
+    }
+  }
+
+  /**
+   * 逐行对比两个版本，返回并排显示用的行
+   * @param {string} oldText - 左侧（旧）内容
+   * @param {string} newText - 右侧（新）内容
+   * @param {number} context - 改动前后保留的未改动行数，更远的未改动行折叠
+   * @returns {Object} {rows, added, removed}；row 为 {type: 'same' | 'changed' | 'fold', left, right, count}，
+   *                   left/right 为 {line, text} 或 null
+   */
+  diffLines(oldText, newText, context = 3) {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+
+    // 相同的首尾不参与逐行比较
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const ops = [];
+    for (let i = 0; i < start; i++) ops.push({ type: 'same', a: i, b: i });
+    this.diffMiddle(a, b, start, endA, start, endB).forEach(op => ops.push(op));
+    for (let i = 0; i < a.length - endA; i++) ops.push({ type: 'same', a: endA + i, b: endB + i });
+
+    // 相邻的删除和新增配对成同一行
+    const rows = [];
+    let added = 0;
+    let removed = 0;
+    for (let i = 0; i < ops.length;) {
+      if (ops[i].type === 'same') {
+        const { a: left, b: right } = ops[i];
+        rows.push({ type: 'same', left: { line: left + 1, text: a[left] }, right: { line: right + 1, text: b[right] } });
+        i++;
+        continue;
+      }
+
+      const lefts = [];
+      const rights = [];
+      while (i < ops.length && ops[i].type !== 'same') {
+        if (ops[i].type === 'removed') lefts.push(ops[i].a);
+        else rights.push(ops[i].b);
+        i++;
+      }
+      removed += lefts.length;
+      added += rights.length;
+      for (let j = 0; j < Math.max(lefts.length, rights.length); j++) {
+        rows.push({
+          type: 'changed',
+          left: j < lefts.length ? { line: lefts[j] + 1, text: a[lefts[j]] } : null,
+          right: j < rights.length ? { line: rights[j] + 1, text: b[rights[j]] } : null
+        });
+      }
+    }
+
+    return { rows: this.foldRows(rows, context), added, removed };
+  }
+
+  /**
+   * 对比中间不同的部分（最长公共子序列）
+   */
+  diffMiddle(a, b, startA, endA, startB, endB) {
+    const n = endA - startA;
+    const m = endB - startB;
+    const ops = [];
+
+    if (n * m > MAX_DIFF_CELLS) {
+      for (let i = startA; i < endA; i++) ops.push({ type: 'removed', a: i });
+      for (let j = startB; j < endB; j++) ops.push({ type: 'added', b: j });
+      return ops;
+    }
+
+    // lengths[i][j]：a[i..] 与 b[j..] 的最长公共子序列长度
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * width + j] = a[startA + i] === b[startB + j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[startA + i] === b[startB + j]) {
+        ops.push({ type: 'same', a: startA + i, b: startB + j });
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        ops.push({ type: 'removed', a: startA + i });
+        i++;
+      } else {
+        ops.push({ type: 'added', b: startB + j });
+        j++;
+      }
+    }
+    for (; i < n; i++) ops.push({ type: 'removed', a: startA + i });
+    for (; j < m; j++) ops.push({ type: 'added', b: startB + j });
+    return ops;
+  }
+
+  /**
+   * 折叠离改动较远的未改动行
+   */
+  foldRows(rows, context) {
+    const keep = rows.map(row => row.type !== 'same');
+    rows.forEach((row, index) => {
+      if (row.type !== 'same') {
+        for (let k = Math.max(0, index - context); k <= Math.min(rows.length - 1, index + context); k++) {
+          keep[k] = true;
+        }
+      }
+    });
+
+    const result = [];
+    let folded = 0;
+    rows.forEach((row, index) => {
+      if (keep[index]) {
+        if (folded > 0) result.push({ type: 'fold', count: folded, left: null, right: null });
+        folded = 0;
+        result.push(row);
+      } else {
+        folded++;
+      }
+    });
+    if (folded > 0) result.push({ type: 'fold', count: folded, left: null, right: null });
+    return result;
+  }
+
+  /**
+   * 自动记录的快照合并保存，避免连续编辑时频繁写入
+   */
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), 2000);
+  }
+
+  /**
+   * 保存快照列表
+   */
+  async save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.storage.set('history', this.entries);
+  }
+
+  /**
+   * 监听事件
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * 触发事件
+   */
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          this.logger.error(`事件处理器错误 (${event}):`, error);
+        }
+      });
+    }
+  }
+}
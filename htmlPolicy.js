@@ -0,0 +1,70 @@
+/**
+ * HTML 安全策略 - 主题（@add 命令）和沙箱脚本创建元素时允许的标签和属性
+ * 负责：标签白名单、属性过滤（事件属性、srcdoc、不安全的链接协议）
+ * 说明：只用于不受信任的来源——主题 CSS 中的 @add 和沙箱模式脚本的 decorate；
+ *      完全访问模式的脚本本来就能直接操作页面，不经过这里
+ */
+
+// 只允许不会执行代码、不会加载页面或改变文档行为的标签
+const ALLOWED_TAGS = new Set([
+  'div', 'span', 'p', 'a', 'img', 'i', 'b', 'u', 's', 'em', 'strong', 'small', 'mark', 'sub', 'sup',
+  'br', 'hr', 'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'code', 'pre',
+  'label', 'abbr', 'time', 'section', 'figure', 'figcaption'
+]);
+
+// 值为链接的属性
+const URL_ATTRIBUTES = new Set(['href', 'src', 'srcset', 'xlink:href', 'poster', 'background', 'cite', 'ping']);
+
+// 不论值是什么都不允许的属性
+const BLOCKED_ATTRIBUTES = new Set(['srcdoc', 'formaction', 'action', 'http-equiv']);
+
+export class HTMLPolicy {
+  static ALLOWED_TAGS = ALLOWED_TAGS;
+
+  /**
+   * 标签是否允许创建
+   * @param {string} tag - 标签名
+   */
+  static isAllowedTag(tag) {
+    return typeof tag === 'string' && ALLOWED_TAGS.has(tag.toLowerCase());
+  }
+
+  /**
+   * 链接是否安全：去掉空白和控制字符后检查协议，
+   * 不允许 javascript:、vbscript:，data: 只允许图片
+   * @param {string} value - 属性值
+   */
+  static isSafeURL(value) {
+    const normalized = String(value).replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+    if (/^(javascript|vbscript):/.test(normalized)) return false;
+    if (normalized.startsWith('data:') && !normalized.startsWith('data:image/')) return false;
+    return true;
+  }
+
+  /**
+   * 过滤属性
+   * @param {Object} attrs - 属性名 -> 值
+   * @returns {Object} {safe: 保留的属性, rejected: 被忽略的属性名}
+   */
+  static sanitizeAttributes(attrs) {
+    const safe = {};
+    const rejected = [];
+
+    Object.entries(attrs || {}).forEach(([name, value]) => {
+      const key = String(name).toLowerCase();
+      const text = String(value ?? '');
+      const unsafe = !/^[a-z][a-z0-9_:.-]*$/.test(key) ||
+        key.startsWith('on') ||
+        BLOCKED_ATTRIBUTES.has(key) ||
+        (URL_ATTRIBUTES.has(key) && !HTMLPolicy.isSafeURL(text));
+
+      if (unsafe) {
+        rejected.push(name);
+      } else {
+        safe[key] = text;
+      }
+    });
+
+    return { safe, rejected };
+  }
+}
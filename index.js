@@ -11,7 +11,15 @@
 import { CoreModule } from './core.js';
 import { CSSProcessor } from './cssProcessor.js';
 import { FontManager } from './fontManager.js';
+import { HistoryManager } from './historyManager.js';
+import { InputPipeline } from './inputPipeline.js';
+import { LogStore } from './logStore.js';
+import { Logger } from './logger.js';
+import { ProcessingWorker } from './processingWorker.js';
+import { ProfileManager } from './profileManager.js';
+import { SnippetManager } from './snippetManager.js';
 import { Storage } from './storage.js';
+import { ThemeDetector } from './themeDetector.js';
 import { UI } from './ui.js';
 
 // 扩展主类
@@ -22,10 +30,24 @@ class EnhancedCustomCSSPlus {
     this.version = '2.0.1';
 
     // 初始化各个模块
-    this.storage = new Storage(this.extensionName);
-    this.core = new CoreModule(this.storage);
-    this.cssProcessor = new CSSProcessor(this.core);
-    this.fontManager = new FontManager(this.storage, this.core);
+    // 共享日志，最先创建以记录各模块初始化时的输出
+    this.logStore = new LogStore();
+    this.rootLogger = new Logger(this.logStore);
+    this.logger = this.rootLogger.child(this.extensionName);
+
+    this.storage = new Storage(this.extensionName, this.rootLogger);
+    this.core = new CoreModule(this.storage, this.rootLogger);
+    this.cssProcessor = new CSSProcessor(this.core, this.rootLogger);
+    this.processingWorker = new ProcessingWorker(this.cssProcessor, this.rootLogger);
+    this.fontManager = new FontManager(this.storage, this.core, this.rootLogger);
+    this.snippetManager = new SnippetManager(this.storage, this.rootLogger);
+    this.profileManager = new ProfileManager(this.storage, this.rootLogger);
+    this.historyManager = new HistoryManager(this.storage, this.rootLogger);
+    this.themeDetector = new ThemeDetector(this.rootLogger);
+    this.inputPipeline = new InputPipeline(this.rootLogger, {
+      getValue: () => (this.currentTextarea ? this.currentTextarea.value : this.currentCSSContent),
+      apply: (content) => this.handleCSSChange(content)
+    });
     this.ui = new UI(this);
 
     // 全局设置
@@ -33,9 +55,21 @@ class EnhancedCustomCSSPlus {
       enabled: true,
       debugMode: false,
       realTimeUpdate: true,
+      inputDelay: 200, // 实时更新的防抖延迟（毫秒）
+      inputMaxWait: 1000, // 连续输入时最长等待（毫秒）
+      applyOnBlur: true, // 输入框失去焦点时应用
+      applyOnSave: true, // 按 Ctrl+S 时应用
+      previewMode: false, // 预览模式：修改先作为预览生效，确认后才替换上次确认的状态
+      historyMaxSize: HistoryManager.DEFAULT_MAX_SIZE, // 历史版本的总大小上限（字符数）
       currentTab: 'css',
       fontSize: 'medium',
-      autoCleanOnThemeChange: true // 新增：主题切换时自动清理
+      autoCleanOnThemeChange: true, // 新增：主题切换时自动清理
+      scriptAccess: {}, // 每个主题的脚本权限，key: 主题名, value: 'full' | 'sandbox'
+      defaultScriptAccess: 'full', // 未单独设置的主题使用的脚本权限
+      snippetScriptAccess: null, // 代码片段的脚本权限，null 表示使用默认权限
+      errorToast: true, // 出错时弹出提示（错误始终记录在日志控制台）
+      logLevel: 'info', // 日志级别：error/warn/info/debug/trace
+      logModules: {} // 各模块日志开关，key: 模块名, value: false 表示关闭
     };
 
     // 存储当前CSS内容和主题信息
@@ -43,12 +77,20 @@ class EnhancedCustomCSSPlus {
     this.currentTheme = null;
     this.currentTextarea = null;
     this.lastProcessedContent = null; // 记录上次处理的内容
-
-    // 观察器
-    this.themeObserver = null;
-    this.textareaObserver = null;
-
-    console.log(`[${this.extensionName}] v${this.version} 初始化中...`);
+    this.currentAST = null; // 上次处理的语法树，用于定位脚本错误
+    this.appliedRulesId = null; // 当前样式表中的规则来自哪次请求，用于判断 Worker 的对比结果是否可用
+    this.appliedRulesStyle = null; // 上次按规则应用的样式ID（确认层或预览层）
+    this.appliedState = null; // 当前生效的处理结果 {content, result}
+    this.knownGood = null; // 最后确认的处理结果 {content, result}，预览模式下用于一键还原
+    this.committedApplied = false; // 确认层是否已应用到页面（清理后需要重新应用）
+    this.previewing = false; // 预览层是否生效（此时确认层的样式和装饰暂停）
+    this.committedScriptScope = 'main'; // 确认层脚本块的作用域，用于区分错误来自哪一层
+    this.previewScriptScope = null; // 预览层脚本块的作用域
+    this.previewCounter = 0;
+    this.scriptErrors = []; // 本次执行中出错的脚本块
+    this.snippetResults = new Map(); // 已应用的代码片段，key: 片段ID, value: {problems, errors}
+
+    this.logger.info(`v${this.version} 初始化中...`);
   }
 
   /**
@@ -58,10 +100,16 @@ class EnhancedCustomCSSPlus {
     try {
       // 1. 加载设置
       await this.loadSettings();
+      this.applyLogSettings();
 
       // 2. 初始化各模块
       await this.core.init();
       await this.fontManager.init();
+      await this.snippetManager.init();
+      await this.profileManager.init();
+      await this.historyManager.init();
+      this.processingWorker.start();
+      this.applyRuntimeSettings();
 
       // 3. 创建UI界面
       await this.ui.init();
@@ -77,9 +125,9 @@ class EnhancedCustomCSSPlus {
       // 6. 暴露全局API
       this.exposeGlobalAPI();
 
-      console.log(`[${this.extensionName}] 初始化完成`);
+      this.logger.info('初始化完成');
     } catch (error) {
-      console.error(`[${this.extensionName}] 初始化失败:`, error);
+      this.logger.error('初始化失败:', error);
     }
   }
 
@@ -93,321 +141,598 @@ class EnhancedCustomCSSPlus {
     // 监听设置变化
     this.storage.on('settingsChanged', (newSettings) => {
       this.settings = { ...this.settings, ...newSettings };
+      this.applyRuntimeSettings();
+      this.applyLogSettings();
       this.applyCurrentConfiguration();
     });
 
     // 监听字体变化
     this.fontManager.on('fontChanged', (fontName) => {
-      this.applyFont(fontName);
+      // 当前主题配置指定了字体时，选择的字体记录到主题配置中
+      if (this.profileManager.getFont()) {
+        this.profileManager.set(this.currentTheme, 'font', null, fontName);
+      } else {
+        this.applyFont(fontName);
+      }
     });
 
-    // 设置智能主题监听
-    this.setupSmartThemeWatcher();
-  }
-
-  /**
-   * 设置智能主题监听器
-   */
-  setupSmartThemeWatcher() {
-    let checkInterval = null;
+    // 字体列表变化后刷新主题配置中的字体选项
+    ['fontAdded', 'fontUpdated', 'fontRemoved', 'fontsImported'].forEach(event => {
+      this.fontManager.on(event, () => this.ui.renderProfile());
+    });
 
-    // 方法1：监听主题选择器的变化（最直接）
-    const watchThemeSelector = () => {
-      const themeSelect = document.querySelector('#themes');
-      if (!themeSelect) {
-        // 如果还没找到，稍后重试
-        setTimeout(watchThemeSelector, 500);
-        return;
+    // 当前主题的配置被修改后重新应用
+    this.profileManager.on('profilesChanged', (change) => {
+      if (change.theme === this.currentTheme) {
+        // 只改了字体时不需要重新处理CSS
+        if (change.section === 'font') {
+          this.applyCurrentFont();
+        } else {
+          this.reapplyProfile();
+        }
       }
+      this.ui.renderProfile();
+    });
 
-      // 记录初始主题
-      this.currentTheme = themeSelect.value;
-
-      // 监听change事件
-      themeSelect.addEventListener('change', (e) => {
-        this.handleThemeChange(e.target.value);
-      });
-
-      // 额外监听value属性变化（有些情况下可能通过代码改变）
-      const observer = new MutationObserver((mutations) => {
-        mutations.forEach((mutation) => {
-          if (mutation.type === 'attributes' && mutation.attributeName === 'value') {
-            const newTheme = themeSelect.value;
-            if (newTheme !== this.currentTheme) {
-              this.handleThemeChange(newTheme);
-            }
-          }
-        });
-      });
+    // 代码片段变化
+    this.snippetManager.on('snippetsChanged', (change) => this.handleSnippetsChange(change));
 
-      observer.observe(themeSelect, {
-        attributes: true,
-        attributeFilter: ['value']
-      });
+    // 历史版本变化后刷新列表（列表不可见时等显示后再刷新）
+    this.historyManager.on('historyChanged', () => this.ui.scheduleHistoryRender());
 
-      this.themeObserver = observer;
-    };
+    // 脚本错误（可能在 async/模块脚本执行过程中随时出现）
+    this.core.on('scriptError', (entry) => this.handleScriptError(entry));
 
-    // 方法2：监听CSS输入框的变化（作为备份检测）
-    const watchTextareaChanges = () => {
-      // 使用MutationObserver监听textarea的替换
-      const container = document.querySelector('#customCSS-holder, .customCSS-container');
-      if (!container) {
-        setTimeout(watchTextareaChanges, 500);
-        return;
-      }
+    // 页面内容被清理后，确认层和预览层都需要重新应用
+    this.core.on('cleared', () => {
+      this.committedApplied = false;
+      this.previewing = false;
+      this.previewScriptScope = null;
+      this.appliedRulesStyle = null;
+    });
 
-      const observer = new MutationObserver((mutations) => {
-        mutations.forEach((mutation) => {
-          // 检查是否有新的textarea被添加
-          mutation.addedNodes.forEach((node) => {
-            if (node.nodeType === 1 && node.id === 'customCSS') {
-              console.log(`[${this.extensionName}] 检测到CSS输入框变化，可能是主题切换`);
-              this.handleTextareaChange(node);
-            }
-          });
-        });
-      });
-
-      observer.observe(container.parentElement || document.body, {
-        childList: true,
-        subtree: true
-      });
-
-      this.textareaObserver = observer;
-    };
+    // 点击错误提示时打开日志控制台
+    this.core.on('showLog', (id) => this.ui.showLogEntry(id));
 
-    // 方法3：监听自定义CSS文件的加载（通过link标签）
-    const watchStylesheets = () => {
-      const observer = new MutationObserver((mutations) => {
-        mutations.forEach((mutation) => {
-          mutation.addedNodes.forEach((node) => {
-            if (node.nodeType === 1 && node.tagName === 'LINK' &&
-              node.rel === 'stylesheet' && node.href &&
-              node.href.includes('css')) {
-              // 检测到新的样式表加载
-              console.log(`[${this.extensionName}] 检测到新样式表加载`);
-              this.handlePossibleThemeChange();
-            }
-          });
-
-          mutation.removedNodes.forEach((node) => {
-            if (node.nodeType === 1 && node.tagName === 'LINK' &&
-              node.rel === 'stylesheet') {
-              // 检测到样式表移除
-              console.log(`[${this.extensionName}] 检测到样式表移除`);
-              this.handlePossibleThemeChange();
-            }
-          });
-        });
-      });
-
-      observer.observe(document.head, {
-        childList: true
-      });
-    };
+    // 主题切换检测
+    this.themeDetector.on('themeChanged', ({ oldTheme, newTheme }) => {
+      if (oldTheme === null && this.currentTheme === null) {
+        this.handleInitialTheme(newTheme);
+      } else {
+        this.handleThemeChange(newTheme);
+      }
+    });
+    this.handleInitialTheme(this.themeDetector.start());
+  }
+
+  /**
+   * 记录首次识别到的主题（不清理，只切换到该主题的配置）
+   * @param {string|null} themeName - 主题名
+   */
+  handleInitialTheme(themeName) {
+    if (!themeName) return;
 
-    // 启动所有监听方法
-    watchThemeSelector();
-    watchTextareaChanges();
-    watchStylesheets();
+    this.currentTheme = themeName;
+    this.ui.refreshScriptAccess();
+    if (this.profileManager.activate(themeName)) {
+      this.reapplyProfile();
+    }
+    this.ui.renderProfile();
   }
 
   /**
-   * 处理主题变化
+   * 处理主题变化（由 ThemeDetector 的 themeChanged 事件触发）
    */
   handleThemeChange(newTheme) {
     if (newTheme === this.currentTheme) return;
 
-    console.log(`[${this.extensionName}] 主题切换检测: ${this.currentTheme} -> ${newTheme}`);
+    this.logger.info(`主题切换检测: ${this.currentTheme} -> ${newTheme}`);
 
     const oldTheme = this.currentTheme;
     this.currentTheme = newTheme;
+    this.ui.refreshScriptAccess();
+
+    // 切换到新主题的配置
+    const profileChanged = this.profileManager.activate(newTheme);
+    this.applyRuntimeSettings();
+    this.ui.renderProfile();
 
-    if (this.settings.autoCleanOnThemeChange && this.settings.enabled) {
+    // 先让脚本处理主题切换，再清理（清理时会触发 unmount）
+    this.core.notifyThemeChange(oldTheme, newTheme);
+
+    // 上一个主题的确认状态不能用于还原新主题，新主题的内容直接作为确认状态
+    this.knownGood = null;
+    this.updatePreview();
+
+    if (this.getSetting('autoCleanOnThemeChange') && this.settings.enabled) {
       // 清理旧内容
-      console.log(`[${this.extensionName}] 清理旧主题内容...`);
+      this.logger.info('清理旧主题内容...');
       this.core.clearAll();
 
       // 重置处理记录
       this.lastProcessedContent = null;
 
-      // 等待DOM更新
-      setTimeout(() => {
-        // 重新查找并监听新的textarea
-        this.watchCustomCSSTextarea();
-
-        // 重新应用配置
-        this.applyCurrentConfiguration();
-      }, 100);
+      // 检测已经过防抖，此时新主题的内容已写入输入框
+      this.watchCustomCSSTextarea();
+      this.applyCurrentConfiguration();
+    } else if (profileChanged) {
+      this.reapplyProfile();
     }
   }
 
   /**
-   * 处理textarea变化（可能的主题切换）
+   * 监听自定义CSS输入框
    */
-  handleTextareaChange(newTextarea) {
-    const oldContent = this.currentCSSContent;
-    const newContent = newTextarea.value;
+  watchCustomCSSTextarea() {
+    const checkTextarea = setInterval(() => {
+      const textarea = document.getElementById('customCSS');
 
-    // 如果内容完全不同，可能是主题切换
-    if (oldContent && newContent && oldContent !== newContent) {
-      const similarity = this.calculateSimilarity(oldContent, newContent);
+      if (textarea && textarea !== this.currentTextarea) {
+        // 发现新的textarea
+        this.logger.info('找到CSS输入框');
+
+        // 输入交给输入管道，何时应用由设置决定（修改设置后立即生效）
+        if (this.currentTextarea) {
+          this.inputPipeline.detach(this.currentTextarea);
+        }
+        this.inputPipeline.attach(textarea);
 
-      // 如果相似度很低，认为是主题切换
-      if (similarity < 0.3) {
-        console.log(`[${this.extensionName}] 检测到内容大幅变化，可能是主题切换`);
-        this.handlePossibleThemeChange();
+        this.currentTextarea = textarea;
+        this.currentCSSContent = textarea.value;
+
+        // 标记已初始化
+        textarea.setAttribute('data-enhanced-initialized', 'true');
+
+        // 初始处理
+        if (this.settings.enabled && textarea.value) {
+          this.handleCSSChange(textarea.value);
+        }
+
+        clearInterval(checkTextarea);
       }
-    }
+    }, 100);
 
-    // 更新引用
-    this.currentTextarea = newTextarea;
-    this.currentCSSContent = newContent;
+    // 10秒后停止检查
+    setTimeout(() => clearInterval(checkTextarea), 10000);
   }
 
   /**
-   * 处理可能的主题变化
+   * 处理CSS内容变化
    */
-  handlePossibleThemeChange() {
-    // 防抖处理，避免频繁触发
-    if (this.themeChangeTimeout) {
-      clearTimeout(this.themeChangeTimeout);
-    }
+  handleCSSChange(content) {
+    // 主题切换等情况下输入框内容被直接替换，同步到内置编辑器
+    this.ui.syncEditor(content);
 
-    this.themeChangeTimeout = setTimeout(() => {
-      if (this.settings.autoCleanOnThemeChange && this.settings.enabled) {
-        console.log(`[${this.extensionName}] 执行主题切换清理`);
+    if (!this.settings.enabled) return;
 
-        // 清理所有添加的内容
-        this.core.clearAll();
+    // 如果内容没有实质变化，跳过处理
+    if (content === this.lastProcessedContent) {
+      return;
+    }
 
-        // 重置状态
-        this.lastProcessedContent = null;
+    this.currentCSSContent = content;
+    this.lastProcessedContent = content;
+    this.historyManager.record(content, this.currentTheme);
+
+    // 解析在 Worker 中进行，只应用最后一次请求的结果
+    this.processingWorker.process(content).then(({ id, result, diff }) => {
+      if (!this.processingWorker.isLatest(id) || !this.settings.enabled) return;
+      this.applyProcessResult(content, result, id, diff);
+    }).catch(error => {
+      this.logger.error('处理CSS失败:', error);
+    });
+  }
 
-        // 重新应用
-        setTimeout(() => {
-          this.applyCurrentConfiguration();
-        }, 200);
+  /**
+   * 在主线程中应用处理结果：验证规则、更新样式、执行脚本和 @add 命令
+   * 预览模式下与确认内容不同的修改应用到预览层，确认层保持不动
+   * @param {string} content - 处理的内容
+   * @param {Object} result - CSSProcessor.process 的结果
+   * @param {number|null} id - 处理请求的ID（还原时为 null）
+   * @param {Object} diff - Worker 算好的规则变化范围（可能为 null）
+   */
+  applyProcessResult(content, result, id, diff) {
+    // 显示诊断信息（语法问题 + 浏览器逐条验证结果）
+    const diagnostics = [...result.diagnostics, ...this.cssProcessor.validateRules(result.ast)]
+      .sort((a, b) => a.offset - b.offset);
+    this.ui.renderDiagnostics(diagnostics);
+
+    // 错误面板对应输入框中的内容
+    this.currentAST = result.ast;
+    this.scriptErrors = [];
+    this.ui.renderScriptErrors(this.scriptErrors);
+
+    const good = this.knownGood;
+    if (this.settings.previewMode && good && content !== good.content) {
+      if (!this.committedApplied) {
+        // 页面被清理过，先恢复确认层
+        this.applyLayer('main', good.result, null, null);
       }
-    }, 300);
+      this.setCommittedSuspended(true);
+      this.applyLayer('preview', result, id, diff);
+    } else if (this.previewing && good && content === good.content && this.committedApplied) {
+      // 改回了确认的内容：只移除预览层，确认层的脚本不会重新执行
+      this.disposePreviewLayer();
+    } else {
+      if (this.previewing) {
+        this.disposePreviewLayer();
+      }
+      this.applyLayer('main', result, id, diff);
+    }
+
+    this.logger.debug('处理CSS完成', {
+      css: result.css.length,
+      scripts: result.scripts.length,
+      addCommands: result.addCommands.length,
+      diagnostics: diagnostics.length
+    });
+
+    // 非预览模式下每次应用都直接确认；预览模式下等待用户应用或还原
+    this.appliedState = { content, result };
+    if (!this.settings.previewMode || !this.knownGood) {
+      this.knownGood = this.appliedState;
+    }
+    this.updatePreview(diagnostics.filter(d => d.severity === 'error').length);
   }
 
   /**
-   * 计算字符串相似度
+   * 把处理结果应用到确认层（main）或预览层（preview）
+   * 两层各自使用独立的样式ID、脚本作用域和 @add 来源，预览层的样式位于确认层之后
+   * @param {string} layer - main 或 preview
+   * @param {Object} result - CSSProcessor.process 的结果
+   * @param {number|null} id - 处理请求的ID
+   * @param {Object} diff - Worker 算好的规则变化范围（可能为 null）
    */
-  calculateSimilarity(str1, str2) {
-    if (!str1 || !str2) return 0;
-    if (str1 === str2) return 1;
+  applyLayer(layer, result, id, diff) {
+    const styleId = this.getLayerStyleId(layer);
+
+    // 应用处理结果：按规则增量更新，无法拆分规则时整体替换
+    const created = !this.core.addedStyles.has(styleId);
+    if (result.rules) {
+      // Worker 是与它收到的上一次请求对比的，中间有结果被丢弃、样式被清理或换了一层时不能使用
+      const hint = diff && diff.base === this.appliedRulesId && this.appliedRulesStyle === styleId ? diff : null;
+      const applied = this.core.applyCSSRules(result.rules, styleId, hint);
+      this.appliedRulesId = applied.mode === 'rules' ? id : null;
+    } else {
+      this.core.applyCSS(result.css, styleId);
+      this.appliedRulesId = null;
+    }
+    this.appliedRulesStyle = styleId;
+    if (created) {
+      this.restackSnippetStyles();
+    }
+
+    // 每次预览的脚本块使用新的作用域，确认后转移到确认层的脚本报告的错误能与之后的预览区分
+    // 脚本执行时就可能报告错误，执行前先切换到这一层
+    let scripts = result.scripts;
+    if (layer === 'preview') {
+      this.previewing = true;
+      this.previewScriptScope = `preview-${++this.previewCounter}`;
+      scripts = scripts.map(block => ({ ...block, scope: this.previewScriptScope }));
+    } else {
+      this.committedApplied = true;
+      this.committedScriptScope = 'main';
+    }
 
-    const longer = str1.length > str2.length ? str1 : str2;
-    const shorter = str1.length > str2.length ? str2 : str1;
+    // 没有脚本时也要执行，以便停止上一次执行留下的定时器和监听
+    this.core.executeScripts(this.profileManager.isFeatureEnabled('scripts') ? scripts : [], {
+      sandbox: this.getScriptAccess(this.currentTheme) === 'sandbox',
+      themeName: this.currentTheme,
+      scope: layer
+    });
+
+    // 即使没有命令也要执行，以便移除上次留下的@add元素
+    this.cssProcessor.executeAddCommands(this.profileManager.isFeatureEnabled('addCommands') ? result.addCommands || [] : [], layer);
 
-    if (longer.length === 0) return 1.0;
+    // 样式和装饰都已就绪，触发脚本的 mount 钩子
+    this.core.mountScripts();
+  }
 
-    const editDistance = this.getEditDistance(longer, shorter);
-    return (longer.length - editDistance) / longer.length;
+  getLayerStyleId(layer) {
+    return layer === 'preview' ? 'main-custom-css-preview' : 'main-custom-css';
   }
 
   /**
-   * 计算编辑距离
+   * 暂停或恢复确认层的样式和 @add 装饰（脚本保持运行）
    */
-  getEditDistance(s1, s2) {
-    const costs = [];
-    for (let i = 0; i <= s1.length; i++) {
-      let lastValue = i;
-      for (let j = 0; j <= s2.length; j++) {
-        if (i === 0) {
-          costs[j] = j;
-        } else if (j > 0) {
-          let newValue = costs[j - 1];
-          if (s1.charAt(i - 1) !== s2.charAt(j - 1)) {
-            newValue = Math.min(Math.min(newValue, lastValue), costs[j]) + 1;
-          }
-          costs[j - 1] = lastValue;
-          lastValue = newValue;
-        }
-      }
-      if (i > 0) costs[s2.length] = lastValue;
+  setCommittedSuspended(suspended) {
+    this.core.setCSSEnabled(this.getLayerStyleId('main'), !suspended);
+    this.cssProcessor.setAddCommandsSuspended('main', suspended);
+  }
+
+  /**
+   * 移除预览层并恢复确认层
+   */
+  disposePreviewLayer() {
+    const styleId = this.getLayerStyleId('preview');
+    this.core.removeCSS(styleId);
+    this.core.disposeScript('preview');
+    this.cssProcessor.executeAddCommands([], 'preview');
+    this.setCommittedSuspended(false);
+
+    if (this.appliedRulesStyle === styleId) {
+      this.appliedRulesStyle = null;
+      this.appliedRulesId = null;
     }
-    return costs[s2.length];
+    this.previewing = false;
+    this.previewScriptScope = null;
   }
 
   /**
-   * 监听自定义CSS输入框
+   * 刷新预览提示条：预览模式下当前生效的内容与上次确认的不同时显示
+   * @param {number} errors - 当前内容的错误数
    */
-  watchCustomCSSTextarea() {
-    const checkTextarea = setInterval(() => {
-      const textarea = document.getElementById('customCSS');
+  updatePreview(errors = 0) {
+    const previewing = this.settings.previewMode && this.knownGood && this.appliedState &&
+      this.appliedState.content !== this.knownGood.content;
+    this.ui.renderPreviewBar(previewing ? { errors } : null);
+  }
 
-      if (textarea && textarea !== this.currentTextarea) {
-        // 发现新的textarea
-        console.log(`[${this.extensionName}] 找到CSS输入框`);
+  /**
+   * 确认预览：预览层转为确认层（样式、脚本和装饰原样转移，不重新执行），当前生效的结果成为新的确认状态
+   */
+  commitPreview() {
+    if (!this.appliedState) return;
 
-        this.currentTextarea = textarea;
-        this.currentCSSContent = textarea.value;
+    if (this.previewing) {
+      const styleId = this.getLayerStyleId('preview');
+      this.core.moveCSS(styleId, this.getLayerStyleId('main'));
+      this.core.moveScriptScope('preview', 'main');
+      this.cssProcessor.moveAddCommands('preview', 'main');
 
-        // 移除可能存在的旧监听器
-        if (this.textareaHandler) {
-          textarea.removeEventListener('input', this.textareaHandler);
-        }
+      if (this.appliedRulesStyle === styleId) {
+        this.appliedRulesStyle = this.getLayerStyleId('main');
+      }
+      this.committedScriptScope = this.previewScriptScope;
+      this.previewing = false;
+      this.previewScriptScope = null;
+    }
 
-        // 添加新的事件监听
-        this.textareaHandler = this.settings.realTimeUpdate
-          ? (e) => this.handleCSSChange(e.target.value)
-          : this.debounce((e) => this.handleCSSChange(e.target.value), 500);
+    this.knownGood = this.appliedState;
+    this.logger.info('已应用预览的修改');
+    this.updatePreview();
+  }
 
-        textarea.addEventListener('input', this.textareaHandler);
+  /**
+   * 还原预览：移除预览层，并把上次确认的内容写回自定义CSS输入框
+   */
+  revertPreview() {
+    const good = this.knownGood;
+    if (!good) return;
+
+    // 放弃还没应用的输入和正在处理的请求，避免还原后又被覆盖
+    this.inputPipeline.cancel();
+    this.processingWorker.discardPending();
+
+    // 先记为已处理，写回输入框触发的 input 不会再次处理
+    this.currentCSSContent = good.content;
+    this.lastProcessedContent = good.content;
+    this.writeCustomCSS(good.content);
+
+    // 直接使用保存的处理结果，不需要重新解析；确认层仍在页面上时只移除预览层
+    if (this.settings.enabled && (this.previewing || !this.committedApplied)) {
+      this.applyProcessResult(good.content, good.result, null, null);
+    }
+    this.logger.info('已还原到上次确认的CSS');
+  }
 
-        // 标记已初始化
-        textarea.setAttribute('data-enhanced-initialized', 'true');
+  /**
+   * 把内容写回自定义CSS输入框，并通过 input 事件让 SillyTavern 保存
+   * @returns {boolean} 是否找到输入框
+   */
+  writeCustomCSS(content) {
+    const textarea = this.currentTextarea || document.getElementById('customCSS');
+    if (!textarea) return false;
 
-        // 初始处理
-        if (this.settings.enabled && textarea.value) {
-          this.handleCSSChange(textarea.value);
-        }
+    if (textarea.value !== content) {
+      textarea.value = content;
+      textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    this.ui.syncEditor(content);
+    return true;
+  }
 
-        clearInterval(checkTextarea);
-      }
-    }, 100);
+  /**
+   * 把历史版本还原到自定义CSS输入框并立即应用（预览模式下作为预览）
+   * @param {string} id - 历史版本ID
+   */
+  restoreHistory(id) {
+    const entry = this.historyManager.get(id);
+    if (!entry) {
+      throw new Error(`历史版本不存在: ${id}`);
+    }
+    const textarea = this.currentTextarea || document.getElementById('customCSS');
+    if (!textarea) {
+      throw new Error('找不到自定义CSS输入框');
+    }
 
-    // 10秒后停止检查
-    setTimeout(() => clearInterval(checkTextarea), 10000);
+    // 先记录当前内容（可能还没应用），还原的版本单独记为一个快照，不与当前内容合并
+    this.historyManager.record(textarea.value, this.currentTheme);
+    this.historyManager.record(entry.content, this.currentTheme, { merge: false });
+    this.writeCustomCSS(entry.content);
+
+    // 不论更新方式如何都立即应用
+    this.inputPipeline.cancel();
+    this.handleCSSChange(entry.content);
+    this.logger.info(`已还原历史版本: ${entry.label || new Date(entry.createdAt).toLocaleString()}`);
   }
 
   /**
-   * 处理CSS内容变化
+   * 开关预览模式，关闭时当前生效的内容直接成为确认状态
    */
-  handleCSSChange(content) {
-    if (!this.settings.enabled) return;
+  setPreviewMode(enabled) {
+    this.settings.previewMode = enabled;
+    this.saveSettings();
+
+    if (!enabled && this.previewing) {
+      this.commitPreview();
+    } else if (!enabled && this.appliedState) {
+      this.knownGood = this.appliedState;
+    }
+    this.updatePreview();
+  }
 
-    // 如果内容没有实质变化，跳过处理
-    if (content === this.lastProcessedContent) {
+  /**
+   * 记录脚本错误并刷新错误面板
+   * @param {Object} entry - CoreModule 报告的错误 {index, label, message, offset, located}
+   */
+  handleScriptError(entry) {
+    if (entry.scope.startsWith('snippet-')) {
+      this.handleSnippetScriptError(entry);
       return;
     }
 
-    this.currentCSSContent = content;
-    this.lastProcessedContent = content;
+    // 预览期间确认层的内容不在输入框中，它的错误只记录在日志里
+    const scope = this.previewing ? this.previewScriptScope : this.committedScriptScope;
+    if (entry.scope !== scope) return;
 
-    // 使用CSS处理器处理内容
-    const result = this.cssProcessor.process(content);
+    const error = { ...entry, line: null, column: null, snippet: '' };
 
-    // 应用处理结果
-    if (result.css) {
-      this.core.applyCSS(result.css, 'main-custom-css');
+    if (entry.offset !== null && this.currentAST) {
+      const diagnostic = this.cssProcessor.parser.createDiagnostic(this.currentAST, 'error', entry.message, entry.offset);
+      error.line = diagnostic.line;
+      error.column = diagnostic.column;
+      error.snippet = diagnostic.snippet;
     }
 
-    if (result.javascript) {
-      this.core.executeScript(result.javascript);
-    }
+    this.scriptErrors.push(error);
+    this.ui.renderScriptErrors(this.scriptErrors);
+  }
+
+  /**
+   * 代码片段的作用域（脚本、@add 命令）和样式ID
+   */
+  getSnippetScope(id) {
+    return `snippet-${id}`;
+  }
+
+  getSnippetStyleId(id) {
+    return `enhanced-snippet-${id}`;
+  }
+
+  /**
+   * 按顺序应用全部代码片段，未启用或已删除的片段会被移除
+   */
+  applySnippets() {
+    if (!this.settings.enabled) return;
+
+    const snippets = this.snippetManager.getAll();
+    const ids = new Set(snippets.map(snippet => snippet.id));
+
+    Array.from(this.snippetResults.keys()).forEach(id => {
+      if (!ids.has(id)) this.removeSnippet(id);
+    });
+
+    snippets.forEach(snippet => {
+      if (this.isSnippetActive(snippet)) {
+        this.applySnippet(snippet);
+      } else {
+        this.removeSnippet(snippet.id);
+      }
+    });
+
+    this.core.mountScripts();
+    this.ui.renderSnippets();
+  }
+
+  /**
+   * 处理并应用单个代码片段（与主题输入框走同一套处理流程，脚本权限见 getSnippetScriptAccess）
+   * @param {Object} snippet - 片段
+   */
+  applySnippet(snippet) {
+    const scope = this.getSnippetScope(snippet.id);
+    const result = this.cssProcessor.process(snippet.content);
+
+    this.snippetResults.set(snippet.id, {
+      problems: result.diagnostics.filter(item => item.severity === 'error').length,
+      errors: 0
+    });
 
-    if (result.addCommands && result.addCommands.length > 0) {
-      this.cssProcessor.executeAddCommands(result.addCommands);
+    this.core.applyCSS(result.css, this.getSnippetStyleId(snippet.id));
+
+    const scripts = this.profileManager.isFeatureEnabled('scripts') ? result.scripts : [];
+    this.core.executeScripts(scripts.map(block => ({ ...block, scope })), {
+      sandbox: this.getSnippetScriptAccess() === 'sandbox',
+      themeName: this.currentTheme,
+      scope
+    });
+    this.cssProcessor.executeAddCommands(this.profileManager.isFeatureEnabled('addCommands') ? result.addCommands || [] : [], scope);
+
+    this.logger.debug(`应用代码片段: ${snippet.name}`, {
+      css: result.css.length,
+      scripts: result.scripts.length,
+      addCommands: result.addCommands.length
+    });
+  }
+
+  /**
+   * 移除代码片段添加的样式、脚本和@add元素
+   * @param {string} id - 片段ID
+   */
+  removeSnippet(id) {
+    const scope = this.getSnippetScope(id);
+
+    this.core.removeCSS(this.getSnippetStyleId(id));
+    this.core.disposeScript(scope);
+    this.cssProcessor.executeAddCommands([], scope);
+    this.snippetResults.delete(id);
+  }
+
+  /**
+   * 代码片段变化后只重新应用受影响的片段
+   * @param {Object} change - {type: add/update/remove/reorder, id}
+   */
+  handleSnippetsChange(change) {
+    if (!this.settings.enabled) {
+      this.ui.renderSnippets();
+      return;
     }
 
-    if (this.settings.debugMode) {
-      console.log(`[${this.extensionName}] 处理CSS完成`, result);
+    const snippet = this.snippetManager.get(change.id);
+
+    if (change.type === 'reorder') {
+      this.restackSnippetStyles();
+    } else if (snippet && this.isSnippetActive(snippet)) {
+      this.applySnippet(snippet);
+      this.restackSnippetStyles();
+      this.core.mountScripts();
+    } else {
+      this.removeSnippet(change.id);
     }
+
+    this.ui.renderSnippets();
+    this.ui.renderProfile();
+  }
+
+  /**
+   * 代码片段在当前主题配置下是否生效
+   */
+  isSnippetActive(snippet) {
+    return this.profileManager.isFeatureEnabled('snippets') && this.profileManager.isSnippetEnabled(snippet);
+  }
+
+  /**
+   * 按片段顺序把片段样式移到主题样式之后，保证片段覆盖主题
+   */
+  restackSnippetStyles() {
+    this.snippetManager.getAll().forEach(snippet => {
+      const style = this.core.addedStyles.get(this.getSnippetStyleId(snippet.id));
+      if (style && style.parentNode) {
+        style.parentNode.appendChild(style);
+      }
+    });
+  }
+
+  /**
+   * 记录代码片段的脚本错误（片段不在主题输入框中，只在片段列表上标记）
+   */
+  handleSnippetScriptError(entry) {
+    const snippet = this.snippetManager.getAll().find(item => this.getSnippetScope(item.id) === entry.scope);
+    const result = snippet && this.snippetResults.get(snippet.id);
+    if (!result) return;
+
+    result.errors++;
+    this.ui.renderSnippets();
   }
 
   /**
@@ -422,11 +747,27 @@ class EnhancedCustomCSSPlus {
       this.handleCSSChange(textarea.value);
     }
 
+    // 应用代码片段
+    this.applySnippets();
+
+    this.applyCurrentFont();
+  }
+
+  /**
+   * 应用当前字体（主题配置指定的字体优先）
+   */
+  applyCurrentFont() {
     // 应用字体 - 修改：2025-09-05 检查字体功能是否启用
     if (this.fontManager.fontEnabled) {
-      const currentFont = this.fontManager.getCurrentFont();
+      // 主题配置指定的字体优先
+      const profileFont = this.profileManager.getFont();
+      const currentFont = (profileFont && this.fontManager.getFont(profileFont)) || this.fontManager.getCurrentFont();
       if (currentFont) {
         this.applyFont(currentFont.name);
+      } else {
+        // 上一个主题配置的字体不再适用
+        this.core.removeCSS('enhanced-font-style');
+        this.fontManager.clearAppliedFont();
       }
     }
   }
@@ -437,7 +778,7 @@ class EnhancedCustomCSSPlus {
   applyFont(fontName) {
     // 检查字体功能是否启用
     if (!this.fontManager.fontEnabled) {
-      console.log('[EnhancedCustomCSSPlus] 字体功能已禁用，跳过字体应用');
+      this.logger.info('字体功能已禁用，跳过字体应用');
       return;
     }
 
@@ -461,6 +802,110 @@ class EnhancedCustomCSSPlus {
     this.core.applyCSS(fontCSS, 'enhanced-font-style');
   }
 
+  /**
+   * 获取主题的脚本权限
+   * @param {string} themeName - 主题名
+   * @returns {string} 'full' | 'sandbox'
+   */
+  getScriptAccess(themeName) {
+    return (this.settings.scriptAccess || {})[themeName] || this.settings.defaultScriptAccess || 'full';
+  }
+
+  /**
+   * 获取代码片段的脚本权限（片段不属于某个主题，未单独设置时使用默认权限）
+   * @returns {string} 'full' | 'sandbox'
+   */
+  getSnippetScriptAccess() {
+    return this.settings.snippetScriptAccess || this.settings.defaultScriptAccess || 'full';
+  }
+
+  /**
+   * 设置代码片段的脚本权限，并按新权限重新应用代码片段
+   * @param {string|null} access - 'full' | 'sandbox'，null 表示使用默认权限
+   */
+  setSnippetScriptAccess(access) {
+    this.settings.snippetScriptAccess = access || null;
+    this.saveSettings();
+    this.applySnippets();
+  }
+
+  /**
+   * 设置默认脚本权限，并按新权限重新执行未单独设置的主题和代码片段的脚本
+   * @param {string} access - 'full' | 'sandbox'
+   */
+  setDefaultScriptAccess(access) {
+    this.settings.defaultScriptAccess = access;
+    this.saveSettings();
+
+    if (this.settings.enabled) {
+      this.core.clearAll();
+      this.applyCurrentConfiguration();
+    }
+  }
+
+  /**
+   * 设置主题的脚本权限，并按新权限重新执行脚本
+   * @param {string} themeName - 主题名
+   * @param {string} access - 'full' | 'sandbox'
+   */
+  setScriptAccess(themeName, access) {
+    this.settings.scriptAccess = { ...(this.settings.scriptAccess || {}), [themeName]: access };
+    this.saveSettings();
+
+    if (this.settings.enabled) {
+      this.core.clearAll();
+      this.applyCurrentConfiguration();
+    }
+  }
+
+  /**
+   * 应用日志设置（调试模式下至少记录 debug 级别）
+   */
+  applyLogSettings() {
+    const levels = Logger.LEVELS;
+    let level = levels.includes(this.settings.logLevel) ? this.settings.logLevel : 'info';
+    if (this.settings.debugMode && levels.indexOf(level) < levels.indexOf('debug')) {
+      level = 'debug';
+    }
+
+    this.rootLogger.configure({ level, modules: this.settings.logModules || {} });
+  }
+
+  /**
+   * 读取设置项（当前主题配置的覆盖值优先）
+   * @param {string} key - 设置项
+   */
+  getSetting(key) {
+    return this.profileManager.getSetting(key, this.settings);
+  }
+
+  /**
+   * 应用可被主题配置覆盖、且需要同步到其他模块的设置
+   */
+  applyRuntimeSettings() {
+    this.core.toastEnabled = this.getSetting('errorToast') !== false;
+    this.inputPipeline.configure({
+      realTime: this.getSetting('realTimeUpdate') !== false,
+      delay: this.settings.inputDelay,
+      maxWait: this.settings.inputMaxWait,
+      applyOnBlur: this.settings.applyOnBlur,
+      applyOnSave: this.settings.applyOnSave
+    });
+    this.historyManager.configure({ maxSize: this.settings.historyMaxSize });
+  }
+
+  /**
+   * 当前主题的配置变化后，清理并按新配置重新应用
+   */
+  reapplyProfile() {
+    this.applyRuntimeSettings();
+
+    if (this.settings.enabled) {
+      this.core.clearAll();
+      this.applyCurrentConfiguration();
+    }
+  }
+
   /**
    * 加载设置
    */
@@ -506,12 +951,15 @@ class EnhancedCustomCSSPlus {
         this.saveSettings();
       },
 
+      // 日志：getLogs({ module, level }) 返回最近的日志记录
+      getLogs: (filter) => this.logStore.getEntries(filter),
+
       // 清理功能
       clear: () => this.core.clearAll(),
 
       // 手动触发主题切换清理
       cleanTheme: () => {
-        console.log('[EnhancedCSS] 手动清理主题');
+        this.logger.info('手动清理主题');
         this.core.clearAll();
         setTimeout(() => this.applyCurrentConfiguration(), 100);
       },
@@ -531,7 +979,7 @@ class EnhancedCustomCSSPlus {
    * 完全卸载 - 清理所有数据
    */
   async completeUninstall() {
-    console.log(`[${this.extensionName}] 开始完全卸载...`);
+    this.logger.info('开始完全卸载...');
 
     try {
       // 1. 清理所有DOM元素和样式
@@ -548,7 +996,7 @@ class EnhancedCustomCSSPlus {
         // 立即保存到服务器
         if (typeof saveSettingsDebounced === 'function') {
           saveSettingsDebounced();
-          console.log(`[${this.extensionName}] 云端数据已完全清除`);
+          this.logger.info('云端数据已完全清除');
         }
       }
 
@@ -563,11 +1011,8 @@ class EnhancedCustomCSSPlus {
       keysToRemove.forEach(key => localStorage.removeItem(key));
 
       // 5. 停止所有监听器
-      if (this.themeObserver) this.themeObserver.disconnect();
-      if (this.textareaObserver) this.textareaObserver.disconnect();
-      if (this.currentTextarea && this.textareaHandler) {
-        this.currentTextarea.removeEventListener('input', this.textareaHandler);
-      }
+      this.themeDetector.stop();
+      this.inputPipeline.stop();
 
       // 6. 移除UI
       const uiContainer = document.querySelector('#EnhancedCustomCSSPlus_settings');
@@ -577,54 +1022,36 @@ class EnhancedCustomCSSPlus {
 
       alert('✅ Enhanced Custom CSS Plus 已完全卸载！\n\n所有数据已从云端和本地清除。\n\n如需重新使用，安装后将是全新开始。');
 
-      console.log(`[${this.extensionName}] 完全卸载成功`);
+      this.logger.info('完全卸载成功');
 
       // 7. 清理全局对象
       delete window.EnhancedCSS;
       delete window.EnhancedCustomCSSPlus;
 
     } catch (error) {
-      console.error(`[${this.extensionName}] 卸载失败:`, error);
+      this.logger.error('卸载失败:', error);
       alert('❌ 卸载过程中出现错误，请查看控制台。');
     }
   }
 
-  /**
-   * 防抖函数
-   */
-  debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-      const later = () => {
-        clearTimeout(timeout);
-        func(...args);
-      };
-      clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
-    };
-  }
-
   /**
    * 清理函数（卸载时调用）
    */
   cleanup() {
-    // 停止所有观察器
-    if (this.themeObserver) {
-      this.themeObserver.disconnect();
-    }
-    if (this.textareaObserver) {
-      this.textareaObserver.disconnect();
-    }
+    // 停止主题检测和后台处理，写入等待中的历史版本
+    this.themeDetector.stop();
+    this.processingWorker.stop();
+    this.historyManager.flush();
 
-    // 清理所有添加的内容
+    // 通知脚本扩展即将卸载，再清理所有添加的内容
+    this.core.disableScripts();
     this.core.clearAll();
 
-    // 移除事件监听器
-    if (this.currentTextarea && this.textareaHandler) {
-      this.currentTextarea.removeEventListener('input', this.textareaHandler);
-    }
+    // 移除事件监听器和预览提示条
+    this.inputPipeline.stop();
+    this.ui.renderPreviewBar(null);
 
-    console.log(`[${this.extensionName}] 清理完成`);
+    this.logger.info('清理完成');
   }
 }
 
@@ -644,7 +1071,7 @@ class EnhancedCustomCSSPlus {
   async function initExtension() {
     // 如果已存在实例，先清理
     if (window.EnhancedCustomCSSPlus) {
-      console.log('[EnhancedCustomCSSPlus] 清理旧实例');
+      window.EnhancedCustomCSSPlus.logger.info('清理旧实例');
       if (window.EnhancedCustomCSSPlus.cleanup) {
         window.EnhancedCustomCSSPlus.cleanup();
       }
@@ -0,0 +1,165 @@
+/**
+ * 输入管道模块 - 决定自定义CSS输入框的修改何时交给扩展处理
+ * 负责：实时模式下按防抖延迟和最长等待时间应用修改，以及失去焦点、Ctrl+S 时立即应用
+ * 说明：配置可随时通过 configure 修改并立即生效，不需要重新绑定输入框；
+ *      关闭实时更新后输入只记为未应用，等失去焦点或按 Ctrl+S 时再应用
+ */
+
+const DEFAULT_CONFIG = {
+  realTime: true, // 输入时应用
+  delay: 200, // 防抖延迟（毫秒），0 表示每次输入立即应用
+  maxWait: 1000, // 连续输入时最长等待（毫秒），0 表示不限制
+  applyOnBlur: true, // 失去焦点时应用
+  applyOnSave: true // Ctrl+S 时应用
+};
+
+export class InputPipeline {
+  static DEFAULT_CONFIG = DEFAULT_CONFIG;
+
+  /**
+   * @param {Object} logger - 日志
+   * @param {Object} handlers - {getValue(): 当前内容, apply(content): 应用内容}
+   */
+  constructor(logger, handlers) {
+    this.logger = logger.child('InputPipeline');
+    this.getValue = handlers.getValue;
+    this.apply = handlers.apply;
+
+    this.config = { ...DEFAULT_CONFIG };
+    this.dirty = false; // 是否有未应用的输入
+    this.delayTimer = null;
+    this.maxWaitTimer = null;
+
+    // 已绑定的元素，key: 元素, value: 解除绑定的函数
+    this.attachments = new Map();
+  }
+
+  /**
+   * 修改配置，立即生效
+   * @param {Object} config - 见 DEFAULT_CONFIG
+   */
+  configure(config = {}) {
+    const next = { ...this.config };
+    Object.keys(DEFAULT_CONFIG).forEach(key => {
+      if (config[key] === undefined) return;
+      next[key] = typeof DEFAULT_CONFIG[key] === 'number'
+        ? Math.max(0, Number(config[key]) || 0)
+        : !!config[key];
+    });
+    this.config = next;
+
+    // 等待中的输入按新配置重新计时，关闭实时更新后留给失去焦点或 Ctrl+S
+    if (this.dirty) {
+      this.clearTimers();
+      if (this.config.realTime) this.schedule();
+    }
+
+    this.logger.debug('输入管道配置:', this.config);
+  }
+
+  /**
+   * 绑定输入元素
+   * @param {HTMLElement} element - 输入框
+   * @param {Object} options - {input: 是否监听 input 事件（为 false 时只响应失去焦点和 Ctrl+S）}
+   */
+  attach(element, options = {}) {
+    if (!element || this.attachments.has(element)) return;
+
+    const onInput = () => this.handleInput();
+    const onBlur = () => this.handleBlur();
+    const onKeydown = (e) => this.handleKeydown(e);
+
+    if (options.input !== false) element.addEventListener('input', onInput);
+    element.addEventListener('blur', onBlur);
+    element.addEventListener('keydown', onKeydown);
+
+    this.attachments.set(element, () => {
+      element.removeEventListener('input', onInput);
+      element.removeEventListener('blur', onBlur);
+      element.removeEventListener('keydown', onKeydown);
+    });
+  }
+
+  /**
+   * 解除元素绑定
+   */
+  detach(element) {
+    const detach = this.attachments.get(element);
+    if (!detach) return;
+    detach();
+    this.attachments.delete(element);
+  }
+
+  /**
+   * 输入：实时模式下计时，否则只记为未应用
+   */
+  handleInput() {
+    this.dirty = true;
+    if (this.config.realTime) this.schedule();
+  }
+
+  handleBlur() {
+    if (this.config.applyOnBlur && this.dirty) {
+      this.flush();
+    }
+  }
+
+  handleKeydown(e) {
+    if (!this.config.applyOnSave) return;
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key && e.key.toLowerCase() === 's') {
+      // 阻止浏览器的“保存网页”
+      e.preventDefault();
+      this.flush();
+    }
+  }
+
+  /**
+   * 防抖计时：停止输入 delay 毫秒后应用，连续输入时最多等待 maxWait 毫秒
+   */
+  schedule() {
+    const { delay, maxWait } = this.config;
+    if (delay === 0) {
+      this.flush();
+      return;
+    }
+
+    clearTimeout(this.delayTimer);
+    this.delayTimer = setTimeout(() => this.flush(), delay);
+
+    if (maxWait > 0 && !this.maxWaitTimer) {
+      this.maxWaitTimer = setTimeout(() => this.flush(), maxWait);
+    }
+  }
+
+  /**
+   * 立即应用当前内容
+   */
+  flush() {
+    this.clearTimers();
+    this.dirty = false;
+    this.apply(this.getValue());
+  }
+
+  /**
+   * 放弃未应用的输入
+   */
+  cancel() {
+    this.clearTimers();
+    this.dirty = false;
+  }
+
+  clearTimers() {
+    clearTimeout(this.delayTimer);
+    clearTimeout(this.maxWaitTimer);
+    this.delayTimer = null;
+    this.maxWaitTimer = null;
+  }
+
+  /**
+   * 停止：放弃未应用的输入并解除全部绑定
+   */
+  stop() {
+    this.cancel();
+    Array.from(this.attachments.keys()).forEach(element => this.detach(element));
+  }
+}
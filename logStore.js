@@ -0,0 +1,137 @@
+/**
+ * 日志存储模块 - 保存扩展各模块的错误、警告和调试信息
+ * 负责：按时间顺序保存最近的日志（环形缓冲），供工具箱中的日志控制台展示、筛选和复制
+ * 说明：日志由 Logger 写入（见 logger.js）
+ */
+
+export class LogStore {
+  constructor(maxEntries = 500) {
+    this.maxEntries = maxEntries;
+    this.entries = [];
+    this.nextId = 1;
+
+    this.listeners = new Map();
+  }
+
+  /**
+   * 添加一条日志
+   * @param {string} level - error/warn/info/debug/trace
+   * @param {string} module - 模块名
+   * @param {string} message - 内容
+   * @returns {Object} 日志条目 {id, time, level, module, message}
+   */
+  add(level, module, message) {
+    const entry = {
+      id: this.nextId++,
+      time: Date.now(),
+      level,
+      module,
+      message
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+
+    this.emit('added', entry);
+    return entry;
+  }
+
+  /**
+   * 获取日志
+   * @param {Object} filter - {module, level}
+   * @returns {Array}
+   */
+  getEntries(filter = {}) {
+    return this.entries.filter(entry =>
+      (!filter.module || entry.module === filter.module) &&
+      (!filter.level || entry.level === filter.level)
+    );
+  }
+
+  /**
+   * 按ID查找日志
+   */
+  getEntry(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * 查找最近一条满足条件的日志
+   * @param {Function} predicate - 判断函数
+   */
+  findLatest(predicate) {
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      if (predicate(this.entries[i])) return this.entries[i];
+    }
+    return null;
+  }
+
+  /**
+   * 出现过日志的模块
+   */
+  getModules() {
+    return Array.from(new Set(this.entries.map(entry => entry.module)));
+  }
+
+  /**
+   * 清空日志
+   */
+  clear() {
+    this.entries = [];
+    this.emit('cleared');
+  }
+
+  /**
+   * 格式化为纯文本（用于复制）
+   * @param {Array} entries - 日志条目
+   */
+  format(entries = this.entries) {
+    return entries.map(entry => {
+      const time = new Date(entry.time).toLocaleTimeString();
+      return `${time} [${entry.level.toUpperCase()}] [${entry.module}] ${entry.message}`;
+    }).join('\n');
+  }
+
+  /**
+   * 把日志参数转换为文本
+   */
+  stringify(args) {
+    return args.map(arg => {
+      if (typeof arg === 'string') return arg;
+      if (arg instanceof Error) return arg.stack || `${arg.name}: ${arg.message}`;
+      try {
+        return JSON.stringify(arg);
+      } catch (e) {
+        return String(arg);
+      }
+    }).join(' ');
+  }
+
+  /**
+   * 监听事件（added / cleared）
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * 触发事件
+   */
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          // 这里不能使用 Logger，否则会再次触发 added
+          console.error(`[LogStore] 事件处理器错误 (${event}):`, error);
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * 日志模块 - 各模块共用的分级日志
+ * 负责：按级别（error/warn/info/debug/trace）和模块开关过滤日志，
+ *      输出到浏览器控制台并写入 LogStore 环形缓冲（日志控制台和 EnhancedCSS.getLogs() 的数据源）
+ * 说明：模块通过 logger.child('模块名') 获得带模块名的日志对象；error 级别不受模块开关影响
+ */
+
+// 级别由高到低，设置为某一级别时会记录该级别及以上的日志
+const LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+
+// 级别 -> console 方法
+const CONSOLE_METHODS = {
+  error: 'error',
+  warn: 'warn',
+  info: 'log',
+  debug: 'debug',
+  trace: 'debug'
+};
+
+export class Logger {
+  static LEVELS = LEVELS;
+
+  /**
+   * @param {LogStore} store - 日志存储（可选，不传时只输出到控制台）
+   */
+  constructor(store = null) {
+    this.store = store;
+    this.level = 'info';
+    this.moduleToggles = {}; // key: 模块名, value: false 表示关闭
+    this.loggers = new Map(); // 已创建的模块日志对象
+  }
+
+  /**
+   * 应用设置
+   * @param {Object} options - {level, modules}
+   */
+  configure(options = {}) {
+    if (options.level) this.setLevel(options.level);
+    if (options.modules) this.moduleToggles = { ...options.modules };
+  }
+
+  /**
+   * 设置记录级别
+   * @param {string} level - error/warn/info/debug/trace
+   */
+  setLevel(level) {
+    if (LEVELS.includes(level)) {
+      this.level = level;
+    }
+  }
+
+  /**
+   * 打开或关闭某个模块的日志
+   */
+  setModuleEnabled(module, enabled) {
+    this.moduleToggles = { ...this.moduleToggles, [module]: enabled };
+  }
+
+  /**
+   * 某个模块的某个级别是否需要记录
+   */
+  isEnabled(module, level) {
+    if (level === 'error') return true;
+    if (this.moduleToggles[module] === false) return false;
+    return LEVELS.indexOf(level) <= LEVELS.indexOf(this.level);
+  }
+
+  /**
+   * 已注册的模块名
+   */
+  getModules() {
+    return Array.from(this.loggers.keys());
+  }
+
+  /**
+   * 获取模块日志对象
+   * @param {string} module - 模块名
+   * @returns {Object} {error, warn, info, debug, trace, child}
+   */
+  child(module) {
+    if (!this.loggers.has(module)) {
+      const moduleLogger = { module, child: (name) => this.child(name) };
+      LEVELS.forEach(level => {
+        moduleLogger[level] = (...args) => this.log(level, module, args);
+      });
+      this.loggers.set(module, Object.freeze(moduleLogger));
+    }
+    return this.loggers.get(module);
+  }
+
+  /**
+   * 记录一条日志
+   * @param {string} level - 级别
+   * @param {string} module - 模块名
+   * @param {Array} args - 内容（与 console 参数相同）
+   */
+  log(level, module, args) {
+    if (!this.isEnabled(module, level)) return;
+
+    const [first, ...rest] = args;
+    const prefix = `[${module}]`;
+    if (typeof first === 'string') {
+      console[CONSOLE_METHODS[level]](`${prefix} ${first}`, ...rest);
+    } else {
+      console[CONSOLE_METHODS[level]](prefix, ...args);
+    }
+
+    if (this.store) {
+      this.store.add(level, module, this.store.stringify(args));
+    }
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * 模块加载模块 - 把 <script type="module"> 块转换为 blob URL 模块
+ * 负责：在模块开头注入与普通脚本相同的 EnhancedCSS 等变量，
+ *      把 import 'ecss:名称' 解析为同一次执行中对应命名块的 blob URL
+ * 说明：模块无法接收参数，注入的变量通过全局运行时表按执行上下文ID读取；
+ *      注入代码与用户代码第一行写在同一行，保持行号不变
+ */
+
+const RUNTIME_KEY = Symbol.for('enhanced-css-runtime');
+
+export class ModuleLoader {
+  /**
+   * @param {string} contextId - 执行上下文ID
+   * @param {Object} context - 注入模块作用域的变量
+   * @param {Array} blocks - 本次执行的全部模块块
+   */
+  constructor(contextId, context, blocks) {
+    this.contextId = contextId;
+    this.context = context;
+    this.blocks = blocks;
+    this.urls = new Map(); // key: 模块块, value: blob URL
+    this.revoked = false; // blob URL 是否已释放
+    this.preludeLength = 0; // 注入代码的长度，用于换算第一行的列号
+
+    // 命名模块，供 import 'ecss:名称' 引用
+    this.named = new Map();
+    blocks.forEach(block => {
+      if (block.name) this.named.set(block.name, block);
+    });
+
+    ModuleLoader.getRuntime().set(contextId, context);
+  }
+
+  /**
+   * 全局运行时表：上下文ID -> 注入变量
+   */
+  static getRuntime() {
+    if (!globalThis[RUNTIME_KEY]) {
+      globalThis[RUNTIME_KEY] = new Map();
+    }
+    return globalThis[RUNTIME_KEY];
+  }
+
+  /**
+   * 获取模块块的 blob URL（依赖的命名模块会先生成）
+   * @param {Object} block - 模块块
+   * @param {Array} stack - 正在解析的模块链，用于检测循环引用
+   * @returns {string} blob URL
+   */
+  getURL(block, stack = []) {
+    if (this.urls.has(block)) return this.urls.get(block);
+
+    if (stack.includes(block)) {
+      const chain = [...stack, block].map(item => `ecss:${item.name}`).join(' -> ');
+      throw new Error(`模块循环引用: ${chain}`);
+    }
+
+    const code = block.content.replace(/(['"])ecss:([\w.-]+)\1/g, (match, quote, name) => {
+      const dependency = this.named.get(name);
+      if (!dependency) {
+        throw new Error(`找不到模块 ecss:${name}`);
+      }
+      return JSON.stringify(this.getURL(dependency, [...stack, block]));
+    });
+
+    const names = Object.keys(this.context).join(', ');
+    const prelude = `const { ${names} } = globalThis[Symbol.for('enhanced-css-runtime')].get(${JSON.stringify(this.contextId)});`;
+
+    this.preludeLength = prelude.length;
+
+    const url = URL.createObjectURL(new Blob([prelude + code], { type: 'text/javascript' }));
+    this.urls.set(block, url);
+    return url;
+  }
+
+  /**
+   * 加载模块块，返回模块的导出对象
+   * @param {Object} block - 模块块
+   * @returns {Promise<Object>}
+   */
+  load(block) {
+    try {
+      return import(this.getURL(block));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  /**
+   * 释放 blob URL：全部模块块加载后即可释放，之后再 import 同一 URL 会直接使用已加载的模块。
+   * 释放后仍保留 URL 字符串，用于在错误堆栈中定位模块块
+   */
+  revokeURLs() {
+    this.urls.forEach(url => URL.revokeObjectURL(url));
+    this.revoked = true;
+  }
+
+  /**
+   * 释放 blob URL 与运行时表中的上下文
+   */
+  dispose() {
+    if (!this.revoked) this.revokeURLs();
+    this.urls.clear();
+    ModuleLoader.getRuntime().delete(this.contextId);
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * 后台处理模块 - 把主题内容交给 Worker 处理（Worker 端见 cssWorker.js）
+ * 负责：创建 Worker、按请求ID对应返回结果，Worker 不可用或出错时改为在主线程中处理
+ * 说明：返回的结果与 CSSProcessor.process 相同；验证规则和应用样式等 DOM 操作仍由调用方在主线程完成。
+ *      请求可能乱序完成，调用方只应使用最后一次请求的结果。
+ *      单个请求超时（如内容触发了死循环）时重启 Worker，该请求失败，其余请求交给新的 Worker
+ */
+
+// 单个请求的默认超时（毫秒）
+const REQUEST_TIMEOUT = 10000;
+
+export class ProcessingWorker {
+  /**
+   * @param {CSSProcessor} processor - 主线程的处理器，Worker 不可用时使用
+   * @param {Object} logger - 日志
+   * @param {Object} options - {timeout: 单个请求的超时（毫秒）}
+   */
+  constructor(processor, logger, options = {}) {
+    this.processor = processor;
+    this.logger = logger.child('ProcessingWorker');
+    this.timeout = options.timeout ?? REQUEST_TIMEOUT;
+
+    this.worker = null;
+    this.nextId = 1;
+
+    // 等待 Worker 返回的请求，key: 请求ID, value: {content, resolve, reject, timer}
+    this.pending = new Map();
+  }
+
+  /**
+   * 创建 Worker
+   * @returns {boolean} 是否成功（失败时之后的请求都在主线程中处理）
+   */
+  start() {
+    if (this.worker) return true;
+
+    if (typeof Worker === 'undefined') {
+      this.logger.info('当前环境不支持 Worker，在主线程中处理CSS');
+      return false;
+    }
+
+    try {
+      this.worker = new Worker(new URL('./cssWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      this.logger.warn('无法创建 Worker，在主线程中处理CSS:', error.message);
+      this.worker = null;
+      return false;
+    }
+
+    this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+    // 脚本加载失败（如不支持模块 Worker、被 CSP 拦截）时触发 error
+    this.worker.addEventListener('error', (event) => {
+      event.preventDefault();
+      this.fallback(event.message || 'Worker 加载失败');
+    });
+    this.worker.addEventListener('messageerror', () => this.fallback('Worker 消息无法解析'));
+
+    this.logger.debug('Worker 已启动');
+    return true;
+  }
+
+  /**
+   * 处理内容
+   * @param {string} content - 主题输入框的内容
+   * @returns {Promise<Object>} {id, result, diff}，diff 为规则变化范围（主线程处理时为 null）
+   */
+  process(content) {
+    const id = this.nextId++;
+
+    if (!this.worker) {
+      return new Promise(resolve => resolve(this.processInThread(id, content)));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.send(id, { content, resolve, reject, timer: null });
+    });
+  }
+
+  /**
+   * 把请求发给 Worker 并开始超时计时
+   */
+  send(id, request) {
+    request.timer = setTimeout(() => this.handleTimeout(id), this.timeout);
+    this.pending.set(id, request);
+    this.worker.postMessage({ id, type: 'process', content: request.content });
+  }
+
+  /**
+   * 是否为最后一次请求（更早请求的结果已经过时）
+   */
+  isLatest(id) {
+    return id === this.nextId - 1;
+  }
+
+  /**
+   * 放弃已发出的请求：它们的结果都不再是最后一次请求的结果
+   */
+  discardPending() {
+    this.nextId++;
+  }
+
+  /**
+   * 在主线程中处理
+   */
+  processInThread(id, content) {
+    return { id, result: this.processor.process(content), diff: null };
+  }
+
+  /**
+   * 在主线程中完成一个已发给 Worker 的请求
+   */
+  settleInThread(id, request) {
+    try {
+      request.resolve(this.processInThread(id, request.content));
+    } catch (error) {
+      request.reject(error);
+    }
+  }
+
+  /**
+   * 处理 Worker 返回的消息
+   */
+  handleMessage(message) {
+    const request = message && this.pending.get(message.id);
+    if (!request) return;
+    this.pending.delete(message.id);
+    clearTimeout(request.timer);
+
+    if (message.type === 'result') {
+      request.resolve({ id: message.id, result: message.result, diff: message.diff });
+    } else {
+      // 单次处理出错时在主线程中重试，以便得到相同的错误信息和诊断
+      this.logger.warn('Worker 处理失败，改为在主线程中处理:', message.message);
+      this.settleInThread(message.id, request);
+    }
+  }
+
+  /**
+   * 请求超时：Worker 可能卡死，终止并重启它。
+   * 超时的请求直接失败（在主线程中重试可能让页面卡死），其余请求重新发给新的 Worker，
+   * 无法重启时在主线程中处理
+   */
+  handleTimeout(id) {
+    const request = this.pending.get(id);
+    if (!request || !this.worker) return;
+
+    this.logger.warn(`Worker 处理超时（${this.timeout} 毫秒），重启 Worker`);
+    const pending = this.takePending();
+    this.worker.terminate();
+    this.worker = null;
+
+    request.reject(new Error(`处理超时（${this.timeout} 毫秒）`));
+
+    const restarted = this.start();
+    pending.forEach(([otherId, other]) => {
+      if (otherId === id) return;
+      if (restarted) {
+        this.send(otherId, other);
+      } else {
+        this.settleInThread(otherId, other);
+      }
+    });
+  }
+
+  /**
+   * Worker 不可用：停止 Worker，未完成和之后的请求都在主线程中处理
+   */
+  fallback(reason) {
+    if (!this.worker) return;
+
+    this.logger.warn('Worker 不可用，改为在主线程中处理CSS:', reason);
+    this.worker.terminate();
+    this.worker = null;
+
+    this.takePending().forEach(([id, request]) => this.settleInThread(id, request));
+  }
+
+  /**
+   * 取出全部未完成的请求并停止它们的超时计时
+   * @returns {Array} [请求ID, 请求] 列表
+   */
+  takePending() {
+    const pending = Array.from(this.pending.entries());
+    this.pending.clear();
+    pending.forEach(([, request]) => clearTimeout(request.timer));
+    return pending;
+  }
+
+  /**
+   * 停止 Worker，未完成的请求不再返回
+   */
+  stop() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.takePending();
+  }
+}
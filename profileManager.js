@@ -0,0 +1,235 @@
+/**
+ * 主题配置模块 - 为每个 SillyTavern 主题保存一份独立配置
+ * 负责：按主题名保存配置（代码片段开关、字体、功能开关、设置覆盖），
+ *      主题切换时切换当前配置，以及配置的复制和重置
+ * 说明：配置中只记录与全局不同的部分，未设置的项跟随全局；没有配置的主题完全使用全局设置
+ */
+
+// 可按主题关闭的功能
+const FEATURES = ['scripts', 'addCommands', 'snippets'];
+
+// 可按主题覆盖的设置项
+const SETTING_KEYS = ['realTimeUpdate', 'autoCleanOnThemeChange', 'errorToast'];
+
+export class ProfileManager {
+  static FEATURES = FEATURES;
+  static SETTING_KEYS = SETTING_KEYS;
+
+  constructor(storage, logger) {
+    this.storage = storage;
+    this.logger = logger.child('ProfileManager');
+
+    // key: 主题名, value: {snippets, font, features, settings, createdAt, updatedAt}
+    this.profiles = {};
+    this.currentTheme = null;
+
+    // 事件监听器
+    this.listeners = new Map();
+  }
+
+  /**
+   * 初始化：加载保存的配置
+   */
+  async init() {
+    const saved = await this.storage.get('profiles', {});
+    this.profiles = saved && typeof saved === 'object' ? saved : {};
+    this.logger.info(`已加载 ${Object.keys(this.profiles).length} 个主题配置`);
+  }
+
+  /**
+   * 切换到某个主题的配置
+   * @param {string} themeName - 主题名
+   * @returns {boolean} 生效的配置是否发生变化（两个主题都没有配置时为 false）
+   */
+  activate(themeName) {
+    const previous = this.getActive();
+    this.currentTheme = themeName;
+    const next = this.getActive();
+
+    if (previous !== next) {
+      this.logger.info(next ? `切换到主题配置: ${themeName}` : '当前主题没有独立配置，使用全局设置');
+    }
+    return previous !== next;
+  }
+
+  /**
+   * 当前主题的配置（没有时为 null）
+   */
+  getActive() {
+    return this.get(this.currentTheme);
+  }
+
+  has(themeName) {
+    return !!themeName && Object.prototype.hasOwnProperty.call(this.profiles, themeName);
+  }
+
+  get(themeName) {
+    return this.has(themeName) ? this.profiles[themeName] : null;
+  }
+
+  /**
+   * 已有配置的主题名
+   */
+  getThemes() {
+    return Object.keys(this.profiles).sort();
+  }
+
+  /**
+   * 为主题创建空配置（全部跟随全局）
+   */
+  async create(themeName) {
+    if (!themeName) {
+      throw new Error('主题名不能为空');
+    }
+    if (this.has(themeName)) return this.profiles[themeName];
+
+    const now = Date.now();
+    this.profiles[themeName] = {
+      snippets: {}, // key: 片段ID, value: 是否启用
+      font: null, // 字体名，null 表示跟随全局
+      features: {}, // key: 功能, value: false 表示关闭
+      settings: {}, // key: 设置项, value: 覆盖值
+      createdAt: now,
+      updatedAt: now
+    };
+    await this.save();
+
+    this.logger.info(`创建主题配置: ${themeName}`);
+    this.emit('profilesChanged', { type: 'create', theme: themeName });
+    return this.profiles[themeName];
+  }
+
+  /**
+   * 修改配置中的一项，value 为 undefined 时恢复为跟随全局
+   * @param {string} themeName - 主题名
+   * @param {string} section - snippets / font / features / settings
+   * @param {string|null} key - 项名（font 不需要）
+   * @param {any} value - 值
+   */
+  async set(themeName, section, key, value) {
+    const profile = this.get(themeName);
+    if (!profile) {
+      throw new Error(`主题配置不存在: ${themeName}`);
+    }
+
+    if (section === 'font') {
+      profile.font = value || null;
+    } else if (profile[section]) {
+      if (value === undefined) {
+        delete profile[section][key];
+      } else {
+        profile[section][key] = value;
+      }
+    } else {
+      throw new Error(`未知的配置项: ${section}`);
+    }
+
+    profile.updatedAt = Date.now();
+    await this.save();
+
+    this.emit('profilesChanged', { type: 'update', theme: themeName, section });
+  }
+
+  /**
+   * 把一个主题的配置复制给另一个主题（覆盖目标主题原有配置）
+   */
+  async copy(fromTheme, toTheme) {
+    const source = this.get(fromTheme);
+    if (!source) {
+      throw new Error(`主题配置不存在: ${fromTheme}`);
+    }
+    if (!toTheme || toTheme === fromTheme) return;
+
+    const now = Date.now();
+    this.profiles[toTheme] = { ...JSON.parse(JSON.stringify(source)), createdAt: now, updatedAt: now };
+    await this.save();
+
+    this.logger.info(`复制主题配置: ${fromTheme} -> ${toTheme}`);
+    this.emit('profilesChanged', { type: 'copy', theme: toTheme });
+  }
+
+  /**
+   * 删除主题配置，该主题恢复使用全局设置
+   */
+  async reset(themeName) {
+    if (!this.has(themeName)) return false;
+
+    delete this.profiles[themeName];
+    await this.save();
+
+    this.logger.info(`重置主题配置: ${themeName}`);
+    this.emit('profilesChanged', { type: 'reset', theme: themeName });
+    return true;
+  }
+
+  /**
+   * 当前配置下某个功能是否启用
+   * @param {string} feature - scripts / addCommands / snippets
+   */
+  isFeatureEnabled(feature) {
+    const profile = this.getActive();
+    return !profile || profile.features[feature] !== false;
+  }
+
+  /**
+   * 当前配置下代码片段是否启用（未单独设置时使用片段自身的开关）
+   */
+  isSnippetEnabled(snippet) {
+    const profile = this.getActive();
+    const override = profile ? profile.snippets[snippet.id] : undefined;
+    return typeof override === 'boolean' ? override : snippet.enabled;
+  }
+
+  /**
+   * 当前配置指定的字体名（没有时为 null）
+   */
+  getFont() {
+    const profile = this.getActive();
+    return profile ? profile.font : null;
+  }
+
+  /**
+   * 读取设置项，优先使用当前配置的覆盖值
+   * @param {string} key - 设置项
+   * @param {Object} settings - 全局设置
+   */
+  getSetting(key, settings) {
+    const profile = this.getActive();
+    if (profile && profile.settings[key] !== undefined) {
+      return profile.settings[key];
+    }
+    return settings[key];
+  }
+
+  /**
+   * 保存全部配置
+   */
+  async save() {
+    await this.storage.set('profiles', this.profiles);
+  }
+
+  /**
+   * 监听事件
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * 触发事件
+   */
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          this.logger.error(`事件处理器错误 (${event}):`, error);
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * 资源追踪模块 - 记录一次脚本执行创建的定时器、事件监听和观察器
+ * 负责：向脚本作用域注入包装后的 setTimeout/setInterval/requestAnimationFrame
+ *      以及会自动登记的观察器类，脚本重新执行或 clearAll 时统一释放
+ * 说明：脚本拿到的是真实的 window/document（原生 API 和 === 比较都正常）。
+ *      脚本同步执行期间和生命周期钩子中调用的 addEventListener 会被登记；
+ *      await 之后、定时器和事件回调中添加的监听不会被追踪，请使用 EnhancedCSS.listen
+ */
+
+export class ResourceTracker {
+  constructor(core) {
+    this.core = core;
+    this.logger = core.logger.child('ResourceTracker');
+
+    this.timeouts = new Set();
+    this.intervals = new Set();
+    this.frames = new Set();
+    this.listeners = new Set(); // {target, type, handler, options}
+    this.observers = new Set();
+    this.cleanups = []; // 脚本通过 onCleanup 注册的清理函数
+    this.disposed = false;
+
+    // 生命周期钩子
+    this.hooks = { mount: [], unmount: [], themeChange: [], disable: [] };
+    this.mounted = false;
+
+    this.globals = this.createGlobals();
+  }
+
+  /**
+   * 创建注入脚本作用域的全局变量（key 即参数名）
+   */
+  createGlobals() {
+    const globals = {
+      setTimeout: (handler, delay, ...args) => this.setTimeout(handler, delay, ...args),
+      clearTimeout: (id) => this.clearTimeout(id),
+      setInterval: (handler, delay, ...args) => this.setInterval(handler, delay, ...args),
+      clearInterval: (id) => this.clearInterval(id),
+      requestAnimationFrame: (callback) => this.requestAnimationFrame(callback),
+      cancelAnimationFrame: (id) => this.cancelAnimationFrame(id)
+    };
+
+    ['MutationObserver', 'ResizeObserver', 'IntersectionObserver'].forEach(name => {
+      if (typeof window[name] === 'function') {
+        globals[name] = this.createObserverClass(window[name]);
+      }
+    });
+
+    return globals;
+  }
+
+  /**
+   * 在全局 EnhancedCSS 之上附加本次执行专属的辅助方法
+   * @param {Object} api - 全局 EnhancedCSS 对象
+   */
+  createAPI(api) {
+    return Object.assign(Object.create(api || null), {
+      listen: (target, type, handler, options) => this.listen(target, type, handler, options),
+      observe: (target, callback, options) => this.observe(target, callback, options),
+      onCleanup: (fn) => {
+        if (typeof fn === 'function') this.cleanups.push(fn);
+      },
+      onMount: (fn) => this.addHook('mount', fn),
+      onUnmount: (fn) => this.addHook('unmount', fn),
+      onThemeChange: (fn) => this.addHook('themeChange', fn),
+      onDisable: (fn) => this.addHook('disable', fn)
+    });
+  }
+
+  /**
+   * 注册生命周期钩子
+   * @param {string} name - mount/unmount/themeChange/disable
+   * @param {Function} fn - 回调
+   */
+  addHook(name, fn) {
+    if (typeof fn !== 'function' || !this.hooks[name]) return;
+
+    this.hooks[name].push(fn);
+
+    // async/模块脚本可能在 mount 之后才注册钩子，此时立即执行
+    if (name === 'mount' && this.mounted && !this.disposed) {
+      try {
+        this.run(fn);
+      } catch (e) {
+        this.logger.error('mount 钩子执行失败:', e);
+        this.core.showError(`mount: ${e.message}`);
+      }
+    }
+  }
+
+  /**
+   * 注册脚本返回的钩子对象，如 return { onMount() {}, onUnmount() {} }
+   * @param {Object} exports - 脚本返回值
+   */
+  registerExports(exports) {
+    if (this.disposed || !exports || typeof exports !== 'object') return;
+
+    this.addHook('mount', exports.onMount);
+    this.addHook('unmount', exports.onUnmount);
+    this.addHook('themeChange', exports.onThemeChange);
+    this.addHook('disable', exports.onDisable);
+  }
+
+  /**
+   * 依次执行某个生命周期钩子，单个钩子出错不影响其他钩子
+   * @param {string} name - 钩子名
+   * @param {...any} args - 传给钩子的参数
+   */
+  runHook(name, ...args) {
+    if (this.disposed) return;
+
+    this.hooks[name].forEach(fn => {
+      try {
+        this.run(() => fn(...args));
+      } catch (e) {
+        this.logger.error(`${name} 钩子执行失败:`, e);
+        this.core.showError(`${name}: ${e.message}`);
+      }
+    });
+  }
+
+  /**
+   * 执行脚本代码，期间调用的 addEventListener/removeEventListener（任意目标）会被登记
+   * @param {Function} fn - 要执行的代码
+   * @returns {any} fn 的返回值
+   */
+  run(fn) {
+    const proto = EventTarget.prototype;
+    const { addEventListener: add, removeEventListener: remove } = proto;
+    const tracker = this;
+
+    proto.addEventListener = function (type, handler, options) {
+      add.call(this, type, handler, options);
+      if (handler && !tracker.disposed) {
+        tracker.listeners.add({ target: this, type, handler, options });
+      }
+    };
+    proto.removeEventListener = function (type, handler, options) {
+      remove.call(this, type, handler, options);
+      tracker.forget(this, type, handler, options);
+    };
+
+    try {
+      return fn();
+    } finally {
+      proto.addEventListener = add;
+      proto.removeEventListener = remove;
+    }
+  }
+
+  setTimeout(handler, delay, ...args) {
+    if (this.disposed) return 0;
+    const id = window.setTimeout((...params) => {
+      this.timeouts.delete(id);
+      if (typeof handler === 'function') handler(...params);
+    }, delay, ...args);
+    this.timeouts.add(id);
+    return id;
+  }
+
+  clearTimeout(id) {
+    window.clearTimeout(id);
+    this.timeouts.delete(id);
+  }
+
+  setInterval(handler, delay, ...args) {
+    if (this.disposed) return 0;
+    const id = window.setInterval(handler, delay, ...args);
+    this.intervals.add(id);
+    return id;
+  }
+
+  clearInterval(id) {
+    window.clearInterval(id);
+    this.intervals.delete(id);
+  }
+
+  requestAnimationFrame(callback) {
+    if (this.disposed) return 0;
+    const id = window.requestAnimationFrame((time) => {
+      this.frames.delete(id);
+      callback(time);
+    });
+    this.frames.add(id);
+    return id;
+  }
+
+  cancelAnimationFrame(id) {
+    window.cancelAnimationFrame(id);
+    this.frames.delete(id);
+  }
+
+  /**
+   * 添加事件监听并记录
+   * @returns {Function} 取消监听的函数
+   */
+  listen(target, type, handler, options) {
+    if (!target || typeof target.addEventListener !== 'function') {
+      this.logger.warn('无效的监听目标:', target);
+      return () => {};
+    }
+    if (this.disposed) return () => {};
+
+    target.addEventListener(type, handler, options);
+    const entry = { target, type, handler, options };
+    this.listeners.add(entry);
+
+    return () => {
+      target.removeEventListener(type, handler, options);
+      this.listeners.delete(entry);
+      this.forget(target, type, handler, options);
+    };
+  }
+
+  /**
+   * 删除事件监听的记录（监听本身已由调用方移除）
+   */
+  forget(target, type, handler, options) {
+    const capture = typeof options === 'boolean' ? options : !!(options && options.capture);
+    this.listeners.forEach(entry => {
+      const entryCapture = typeof entry.options === 'boolean' ? entry.options : !!(entry.options && entry.options.capture);
+      if (entry.target === target && entry.type === type && entry.handler === handler && entryCapture === capture) {
+        this.listeners.delete(entry);
+      }
+    });
+  }
+
+  /**
+   * 创建并启动一个 MutationObserver
+   * @returns {MutationObserver}
+   */
+  observe(target, callback, options = { childList: true, subtree: true }) {
+    const observer = new MutationObserver(callback);
+    observer.observe(target, options);
+    this.observers.add(observer);
+    return observer;
+  }
+
+  /**
+   * 包装观察器类：创建的实例会自动登记，释放时断开
+   */
+  createObserverClass(Base) {
+    const tracker = this;
+    return class extends Base {
+      constructor(...args) {
+        super(...args);
+        tracker.observers.add(this);
+      }
+    };
+  }
+
+  /**
+   * 资源数量统计
+   */
+  getStats() {
+    return {
+      timers: this.timeouts.size + this.intervals.size + this.frames.size,
+      listeners: this.listeners.size,
+      observers: this.observers.size
+    };
+  }
+
+  /**
+   * 释放本次执行创建的全部资源
+   */
+  dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+
+    this.cleanups.forEach(fn => {
+      try {
+        fn();
+      } catch (e) {
+        this.logger.warn('清理函数执行失败:', e);
+      }
+    });
+    this.cleanups = [];
+
+    this.timeouts.forEach(id => window.clearTimeout(id));
+    this.intervals.forEach(id => window.clearInterval(id));
+    this.frames.forEach(id => window.cancelAnimationFrame(id));
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this.observers.forEach(observer => observer.disconnect());
+
+    this.timeouts.clear();
+    this.intervals.clear();
+    this.frames.clear();
+    this.listeners.clear();
+    this.observers.clear();
+  }
+}
@@ -0,0 +1,395 @@
+/**
+ * 脚本沙箱模块 - 在隔离的 iframe 中执行不受信任的主题脚本
+ * 负责：创建 sandbox="allow-scripts" 的 iframe（不同源，无法访问页面 document/window），
+ *      通过 MessageChannel 提供受限的 EnhancedCSS 能力接口，执行结束或重新执行时统一回收
+ * 说明：沙箱内的 API 全部是异步的（返回 Promise），定时器随 iframe 销毁自动清除
+ */
+
+import { HTMLPolicy } from './htmlPolicy.js';
+
+// iframe 内的引导脚本：建立通信、构造受限API、执行用户代码
+const BOOTSTRAP = `
+(function () {
+  'use strict';
+  let port = null;
+  let seq = 0;
+  const pending = new Map();
+  const handlers = new Map();
+
+  const call = (method, ...args) => new Promise((resolve, reject) => {
+    const id = ++seq;
+    pending.set(id, { resolve, reject });
+    port.postMessage({ type: 'call', id, method, args });
+  });
+
+  const report = (error, index) => {
+    if (port) {
+      port.postMessage({
+        type: 'error',
+        index: index === undefined ? null : index,
+        message: String(error && error.message || error),
+        stack: String(error && error.stack || '')
+      });
+    }
+  };
+
+  const createAPI = (theme) => Object.freeze({
+    theme,
+    addCSS: (css) => call('addCSS', String(css)),
+    addClass: (selector, className) => call('addClass', selector, className),
+    decorate: (selector, options) => call('decorate', selector, options || {}),
+    query: (selector) => call('query', selector),
+    count: (selector) => call('count', selector),
+    on: (selector, type, handler) => {
+      const listenerId = ++seq;
+      handlers.set(listenerId, handler);
+      return call('listen', listenerId, selector, type).then(() => () => {
+        handlers.delete(listenerId);
+        return call('unlisten', listenerId);
+      });
+    },
+    storage: Object.freeze({
+      get: (key) => call('storage.get', key),
+      set: (key, value) => call('storage.set', key, value),
+      remove: (key) => call('storage.remove', key)
+    }),
+    log: (...args) => call('log', args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)))
+  });
+
+  window.addEventListener('error', (e) => report(e.error || e.message));
+  window.addEventListener('unhandledrejection', (e) => report(e.reason));
+
+  window.addEventListener('message', (e) => {
+    const data = e.data;
+    if (port || !data || data.type !== 'enhanced-css-init' || !e.ports[0]) return;
+
+    port = e.ports[0];
+    port.onmessage = (msg) => {
+      const message = msg.data;
+      if (message.type === 'result') {
+        const entry = pending.get(message.id);
+        if (!entry) return;
+        pending.delete(message.id);
+        message.error ? entry.reject(new Error(message.error)) : entry.resolve(message.value);
+      } else if (message.type === 'event') {
+        const handler = handlers.get(message.listenerId);
+        if (handler) {
+          try {
+            handler(message.event);
+          } catch (error) {
+            report(error);
+          }
+        }
+      }
+    };
+
+    const api = createAPI(data.theme);
+    const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+    // 逐块执行，一个块出错不影响其他块
+    data.blocks.forEach((block) => {
+      const fail = (error) => report(error, block.index);
+
+      if (block.kind === 'module') {
+        fail('沙箱模式不支持 type="module" 脚本');
+        return;
+      }
+
+      try {
+        const body = "'use strict';\\n" + block.content + '\\n//# sourceURL=' + block.sourceURL;
+        if (block.kind === 'async') {
+          new AsyncFunction('EnhancedCSS', 'executionId', body)(api, data.executionId).catch(fail);
+        } else {
+          new Function('EnhancedCSS', 'executionId', body)(api, data.executionId);
+        }
+      } catch (error) {
+        fail(error);
+      }
+    });
+  });
+})();
+`;
+
+export class ScriptSandbox {
+  constructor(core) {
+    this.core = core;
+    this.logger = core.logger.child('ScriptSandbox');
+    this.storage = core.storage;
+
+    // 当前运行中的沙箱，key: 作用域
+    this.runs = new Map();
+    this.styleCounter = 0;
+  }
+
+  /**
+   * 在沙箱中执行脚本块（同一作用域的上一次执行会先被回收）
+   * @param {Array} blocks - 脚本块 {index, kind, name, content}
+   * @param {Object} options - {themeName, scope, executionId}
+   */
+  run(blocks, options = {}) {
+    const scope = options.scope || 'main';
+    this.dispose(scope);
+
+    const run = {
+      scope,
+      blocks,
+      themeName: options.themeName || 'default',
+      iframe: document.createElement('iframe'),
+      channel: new MessageChannel(),
+      styles: new Set(),
+      elements: new Set(),
+      classes: [],
+      listeners: new Map()
+    };
+
+    run.iframe.setAttribute('sandbox', 'allow-scripts');
+    run.iframe.setAttribute('aria-hidden', 'true');
+    run.iframe.setAttribute(this.core.EXTENSION_MARKER, 'sandbox');
+    run.iframe.style.display = 'none';
+    run.iframe.srcdoc = `<!DOCTYPE html><html><head><script>${BOOTSTRAP}</script></head><body></body></html>`;
+
+    run.channel.port1.onmessage = (e) => this.handleMessage(run, e.data);
+
+    run.iframe.addEventListener('load', () => {
+      run.iframe.contentWindow.postMessage({
+        type: 'enhanced-css-init',
+        blocks: blocks.map(block => ({
+          index: block.index,
+          kind: block.kind,
+          name: block.name,
+          content: block.content,
+          sourceURL: this.core.getScriptSourceURL(block)
+        })),
+        theme: run.themeName,
+        executionId: options.executionId || `sandbox-${Date.now()}`
+      }, '*', [run.channel.port2]);
+    }, { once: true });
+
+    document.body.appendChild(run.iframe);
+    this.runs.set(scope, run);
+
+    this.logger.debug(`沙箱已启动 (${scope}, 主题: ${run.themeName})`);
+  }
+
+  /**
+   * 处理沙箱发来的消息
+   */
+  async handleMessage(run, message) {
+    if (!message) return;
+
+    if (message.type === 'error') {
+      // 映射到输入框位置并报告，与完全访问模式一致
+      const block = run.blocks.find(item => item.index === message.index) || null;
+      this.core.reportScriptError(block, { message: `[沙箱] ${message.message}`, stack: message.stack });
+      return;
+    }
+
+    if (message.type !== 'call') return;
+
+    let value;
+    let error = null;
+    try {
+      value = await this.invoke(run, message.method, message.args || []);
+    } catch (e) {
+      error = e.message || String(e);
+    }
+
+    if (this.runs.get(run.scope) === run) {
+      run.channel.port1.postMessage({ type: 'result', id: message.id, value, error });
+    }
+  }
+
+  /**
+   * 执行沙箱请求的能力
+   */
+  async invoke(run, method, args) {
+    switch (method) {
+      case 'addCSS': {
+        const styleId = `enhanced-sandbox-${run.scope}-${++this.styleCounter}`;
+        this.core.applyCSS(args[0], styleId);
+        run.styles.add(styleId);
+        return styleId;
+      }
+
+      case 'addClass': {
+        const [selector, className] = args;
+        this.core.addClass(selector, className);
+        run.classes.push({ selector, className });
+        return document.querySelectorAll(selector).length;
+      }
+
+      case 'decorate':
+        return this.decorate(run, args[0], args[1]);
+
+      case 'query':
+        return Array.from(document.querySelectorAll(args[0])).slice(0, 200).map(el => this.snapshot(el));
+
+      case 'count':
+        return document.querySelectorAll(args[0]).length;
+
+      case 'listen':
+        this.listen(run, args[0], args[1], args[2]);
+        return true;
+
+      case 'unlisten':
+        this.unlisten(run, args[0]);
+        return true;
+
+      case 'storage.get': {
+        const data = await this.getThemeStorage(run.themeName);
+        return data[args[0]] === undefined ? null : data[args[0]];
+      }
+
+      case 'storage.set': {
+        const data = await this.getThemeStorage(run.themeName);
+        data[args[0]] = args[1];
+        await this.saveThemeStorage(run.themeName, data);
+        return true;
+      }
+
+      case 'storage.remove': {
+        const data = await this.getThemeStorage(run.themeName);
+        delete data[args[0]];
+        await this.saveThemeStorage(run.themeName, data);
+        return true;
+      }
+
+      case 'log':
+        this.logger.info(`[${run.themeName}]`, ...args[0]);
+        return true;
+
+      default:
+        throw new Error(`沙箱不支持的操作: ${method}`);
+    }
+  }
+
+  /**
+   * 为匹配的元素添加装饰（只允许文本内容和白名单中的标签，属性规则见 HTMLPolicy）
+   * @returns {number} 装饰的元素数量
+   */
+  decorate(run, selector, options) {
+    const tag = options.tag || 'div';
+    if (!HTMLPolicy.isAllowedTag(tag)) {
+      throw new Error(`沙箱不允许创建 <${tag}> 元素`);
+    }
+
+    const { safe: attrs, rejected } = HTMLPolicy.sanitizeAttributes(options.attrs);
+    if (rejected.length > 0) {
+      this.logger.warn(`[${run.themeName}] 已忽略不安全的属性: ${rejected.join(', ')}`);
+    }
+
+    const hosts = document.querySelectorAll(selector);
+    hosts.forEach(host => {
+      const element = this.core.addElement(host, tag.toLowerCase(), {
+        class: options.class,
+        text: options.text,
+        style: options.style && typeof options.style === 'object' ? options.style : undefined,
+        attrs
+      });
+      if (element) run.elements.add(element);
+    });
+
+    return hosts.length;
+  }
+
+  /**
+   * 元素快照（沙箱内拿不到真实DOM节点）
+   */
+  snapshot(el) {
+    return {
+      tag: el.tagName.toLowerCase(),
+      id: el.id,
+      classes: Array.from(el.classList),
+      text: (el.textContent || '').slice(0, 500)
+    };
+  }
+
+  /**
+   * 事件委托：页面事件以快照形式转发给沙箱
+   */
+  listen(run, listenerId, selector, type) {
+    const handler = (e) => {
+      const target = e.target instanceof Element ? e.target.closest(selector) : null;
+      if (!target) return;
+      run.channel.port1.postMessage({
+        type: 'event',
+        listenerId,
+        event: { type: e.type, target: this.snapshot(target) }
+      });
+    };
+
+    document.addEventListener(type, handler, true);
+    run.listeners.set(listenerId, { type, handler });
+  }
+
+  /**
+   * 移除事件委托
+   */
+  unlisten(run, listenerId) {
+    const listener = run.listeners.get(listenerId);
+    if (listener) {
+      document.removeEventListener(listener.type, listener.handler, true);
+      run.listeners.delete(listenerId);
+    }
+  }
+
+  /**
+   * 读取主题专属存储
+   */
+  async getThemeStorage(themeName) {
+    const all = await this.storage.get('sandboxStorage', {}) || {};
+    return { ...(all[themeName] || {}) };
+  }
+
+  /**
+   * 保存主题专属存储
+   */
+  async saveThemeStorage(themeName, data) {
+    const all = await this.storage.get('sandboxStorage', {}) || {};
+    await this.storage.set('sandboxStorage', { ...all, [themeName]: data });
+  }
+
+  /**
+   * 回收某个作用域的沙箱：销毁 iframe（其中的定时器随之停止），移除它创建的内容
+   * @param {string} scope - 作用域
+   */
+  dispose(scope = 'main') {
+    const run = this.runs.get(scope);
+    if (!run) return;
+    this.runs.delete(scope);
+
+    run.channel.port1.close();
+    run.iframe.remove();
+
+    Array.from(run.listeners.keys()).forEach(listenerId => this.unlisten(run, listenerId));
+    run.styles.forEach(styleId => this.core.removeCSS(styleId));
+    run.elements.forEach(element => this.core.removeElement(element));
+    run.classes.forEach(({ selector, className }) => {
+      document.querySelectorAll(selector).forEach(el => {
+        className.split(' ').filter(Boolean).forEach(cls => el.classList.remove(cls));
+      });
+    });
+  }
+
+  /**
+   * 把运行中的沙箱转移到另一个作用域（目标作用域原有的沙箱先被回收）
+   * @param {string} from - 原作用域
+   * @param {string} to - 目标作用域
+   */
+  move(from, to) {
+    const run = this.runs.get(from);
+    this.dispose(to);
+    if (!run) return;
+
+    this.runs.delete(from);
+    run.scope = to;
+    this.runs.set(to, run);
+  }
+
+  /**
+   * 回收全部沙箱
+   */
+  disposeAll() {
+    Array.from(this.runs.keys()).forEach(scope => this.dispose(scope));
+  }
+}
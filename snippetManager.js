@@ -0,0 +1,176 @@
+/**
+ * 代码片段模块 - 管理独立于主题输入框的命名 CSS 片段
+ * 负责：片段的增删改、启用开关和排序，保存在 Storage 的 snippets 键中
+ * 说明：片段内容与主题输入框语法相同（CSS、@add 命令、<script>），
+ *      由扩展主类逐个交给 CSSProcessor 处理，按顺序叠加在主题样式之后
+ */
+
+export class SnippetManager {
+  constructor(storage, logger) {
+    this.storage = storage;
+    this.logger = logger.child('SnippetManager');
+
+    // 片段列表 {id, name, enabled, order, content, createdAt, updatedAt}
+    this.snippets = [];
+
+    // 事件监听器
+    this.listeners = new Map();
+  }
+
+  /**
+   * 初始化：加载保存的片段
+   */
+  async init() {
+    const saved = await this.storage.get('snippets', []);
+    this.snippets = Array.isArray(saved) ? saved.filter(snippet => snippet && snippet.id) : [];
+    this.normalizeOrder();
+    this.logger.info(`已加载 ${this.snippets.length} 个代码片段`);
+  }
+
+  /**
+   * 按顺序返回全部片段
+   */
+  getAll() {
+    return [...this.snippets].sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * 按ID获取片段
+   */
+  get(id) {
+    return this.snippets.find(snippet => snippet.id === id) || null;
+  }
+
+  /**
+   * 新建片段（排在最后）
+   * @param {Object} data - {name, content, enabled}
+   * @returns {Object} 新片段
+   */
+  async add(data = {}) {
+    const now = Date.now();
+    const snippet = {
+      id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      name: this.normalizeName(data.name),
+      enabled: data.enabled !== false,
+      order: this.snippets.length,
+      content: data.content || '',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.snippets.push(snippet);
+    await this.save();
+
+    this.logger.info(`新建代码片段: ${snippet.name}`);
+    this.emit('snippetsChanged', { type: 'add', id: snippet.id });
+    return snippet;
+  }
+
+  /**
+   * 修改片段的名称、内容或启用状态
+   * @param {string} id - 片段ID
+   * @param {Object} changes - {name, content, enabled}
+   */
+  async update(id, changes = {}) {
+    const snippet = this.get(id);
+    if (!snippet) {
+      throw new Error(`代码片段不存在: ${id}`);
+    }
+
+    if (changes.name !== undefined) snippet.name = this.normalizeName(changes.name);
+    if (changes.content !== undefined) snippet.content = changes.content;
+    if (changes.enabled !== undefined) snippet.enabled = !!changes.enabled;
+    snippet.updatedAt = Date.now();
+
+    await this.save();
+
+    this.emit('snippetsChanged', { type: 'update', id });
+    return snippet;
+  }
+
+  /**
+   * 删除片段
+   */
+  async remove(id) {
+    const snippet = this.get(id);
+    if (!snippet) return false;
+
+    this.snippets = this.snippets.filter(item => item.id !== id);
+    this.normalizeOrder();
+    await this.save();
+
+    this.logger.info(`删除代码片段: ${snippet.name}`);
+    this.emit('snippetsChanged', { type: 'remove', id });
+    return true;
+  }
+
+  /**
+   * 调整片段顺序，靠后的片段覆盖靠前的片段
+   * @param {string} id - 片段ID
+   * @param {number} offset - -1 上移，1 下移
+   */
+  async move(id, offset) {
+    const ordered = this.getAll();
+    const index = ordered.findIndex(snippet => snippet.id === id);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= ordered.length) return false;
+
+    [ordered[index], ordered[target]] = [ordered[target], ordered[index]];
+    ordered.forEach((snippet, i) => {
+      snippet.order = i;
+    });
+    await this.save();
+
+    this.emit('snippetsChanged', { type: 'reorder', id });
+    return true;
+  }
+
+  /**
+   * 片段名称：去除首尾空白，为空时使用默认名称
+   */
+  normalizeName(name) {
+    const trimmed = String(name || '').trim();
+    return trimmed || `片段 ${this.snippets.length + 1}`;
+  }
+
+  /**
+   * 把顺序号整理为连续的 0..n-1
+   */
+  normalizeOrder() {
+    this.getAll().forEach((snippet, i) => {
+      snippet.order = i;
+    });
+  }
+
+  /**
+   * 保存片段列表
+   */
+  async save() {
+    await this.storage.set('snippets', this.snippets);
+  }
+
+  /**
+   * 监听事件
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * 触发事件
+   */
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          this.logger.error(`事件处理器错误 (${event}):`, error);
+        }
+      });
+    }
+  }
+}
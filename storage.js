@@ -4,8 +4,11 @@
  * 优化版：移除定期同步，只在操作时立即保存
  */
 
+import { Logger } from './logger.js';
+
 export class Storage {
-    constructor(namespace) {
+    constructor(namespace, logger = new Logger()) {
+        this.logger = logger.child('Storage');
         this.namespace = namespace;
         this.prefix = `${namespace}_`;
         this.cache = new Map();
@@ -41,9 +44,9 @@ export class Storage {
                 };
             }
             
-            console.log(`[Storage] 检测到SillyTavern环境，启用服务器同步存储`);
+            this.logger.info(`检测到SillyTavern环境，启用服务器同步存储`);
         } else {
-            console.log(`[Storage] 未检测到SillyTavern环境，使用本地存储`);
+            this.logger.info(`未检测到SillyTavern环境，使用本地存储`);
         }
     }
     
@@ -68,7 +71,7 @@ export class Storage {
                 const serialized = JSON.stringify(value);
                 localStorage.setItem(fullKey, serialized);
             } catch (localError) {
-                console.warn(`[Storage] 本地存储失败，但会继续同步到服务器:`, localError.message);
+                this.logger.warn(`本地存储失败，但会继续同步到服务器:`, localError.message);
             }
             
             // 3. 如果在SillyTavern环境，立即同步到服务器
@@ -82,7 +85,7 @@ export class Storage {
             
             return Promise.resolve();
         } catch (error) {
-            console.error(`[Storage] 保存失败 (${key}):`, error);
+            this.logger.error(`保存失败 (${key}):`, error);
             return Promise.reject(error);
         }
     }
@@ -116,10 +119,10 @@ export class Storage {
             // 立即调用SillyTavern的保存函数
             if (typeof saveSettingsDebounced === 'function') {
                 saveSettingsDebounced();
-                console.log(`[Storage] 数据已立即同步到服务器: ${key}`);
+                this.logger.debug(`数据已立即同步到服务器: ${key}`);
             }
         } catch (error) {
-            console.error(`[Storage] 服务器保存失败:`, error);
+            this.logger.error(`服务器保存失败:`, error);
         }
     }
     
@@ -166,7 +169,7 @@ export class Storage {
                 return Promise.resolve(value);
             }
         } catch (error) {
-            console.warn(`[Storage] 本地读取失败 (${key}):`, error);
+            this.logger.warn(`本地读取失败 (${key}):`, error);
         }
         
         return Promise.resolve(defaultValue);
@@ -185,7 +188,7 @@ export class Storage {
                 return window.extension_settings[this.namespace].data[key].value;
             }
         } catch (error) {
-            console.error(`[Storage] 服务器读取失败:`, error);
+            this.logger.error(`服务器读取失败:`, error);
         }
         
         return null;
@@ -218,7 +221,7 @@ export class Storage {
             
             return Promise.resolve();
         } catch (error) {
-            console.error(`[Storage] 删除失败 (${key}):`, error);
+            this.logger.error(`删除失败 (${key}):`, error);
             return Promise.reject(error);
         }
     }
@@ -236,11 +239,11 @@ export class Storage {
                 
                 if (typeof saveSettingsDebounced === 'function') {
                     saveSettingsDebounced();
-                    console.log(`[Storage] 已立即从服务器删除: ${key}`);
+                    this.logger.debug(`已立即从服务器删除: ${key}`);
                 }
             }
         } catch (error) {
-            console.error(`[Storage] 服务器删除失败:`, error);
+            this.logger.error(`服务器删除失败:`, error);
         }
     }
     
@@ -264,7 +267,7 @@ export class Storage {
      */
     async clear() {
         try {
-            console.log(`[Storage] 开始清空所有数据...`);
+            this.logger.info(`开始清空所有数据...`);
             
             // 1. 清空缓存
             this.cache.clear();
@@ -283,7 +286,7 @@ export class Storage {
                 localStorage.removeItem(key);
             });
             
-            console.log(`[Storage] 已清空 ${keysToRemove.length} 个本地存储项`);
+            this.logger.info(`已清空 ${keysToRemove.length} 个本地存储项`);
             
             // 3. 清空服务器数据（立即执行）
             if (this.useServerStorage) {
@@ -293,10 +296,10 @@ export class Storage {
             // 触发清空事件
             this.emit('cleared', null);
             
-            console.log(`[Storage] 数据清空完成`);
+            this.logger.info(`数据清空完成`);
             return Promise.resolve();
         } catch (error) {
-            console.error(`[Storage] 清空失败:`, error);
+            this.logger.error(`清空失败:`, error);
             return Promise.reject(error);
         }
     }
@@ -311,7 +314,7 @@ export class Storage {
             // 方法1：完全删除扩展的设置对象（推荐）
             if (window.extension_settings && window.extension_settings[this.namespace]) {
                 delete window.extension_settings[this.namespace];
-                console.log(`[Storage] 已完全删除服务器上的扩展数据`);
+                this.logger.info(`已完全删除服务器上的扩展数据`);
             }
             
             // 备用方法：如果无法删除，则重置为空对象
@@ -323,10 +326,10 @@ export class Storage {
             
             if (typeof saveSettingsDebounced === 'function') {
                 saveSettingsDebounced();
-                console.log(`[Storage] 服务器数据已立即清空并保存`);
+                this.logger.info(`服务器数据已立即清空并保存`);
             }
         } catch (error) {
-            console.error(`[Storage] 清空服务器数据失败:`, error);
+            this.logger.error(`清空服务器数据失败:`, error);
         }
     }
     
@@ -385,7 +388,7 @@ export class Storage {
                 const value = JSON.parse(localStorage.getItem(fullKey));
                 data[key] = value;
             } catch (error) {
-                console.warn(`[Storage] 跳过损坏的数据 (${key})`);
+                this.logger.warn(`跳过损坏的数据 (${key})`);
             }
         }
         
@@ -407,7 +410,7 @@ export class Storage {
         }
         
         if (errors.length > 0) {
-            console.warn(`[Storage] 批量设置部分失败:`, errors);
+            this.logger.warn(`批量设置部分失败:`, errors);
         }
         
         return Promise.resolve();
@@ -438,12 +441,12 @@ export class Storage {
                     const value = JSON.parse(localStorage.getItem(fullKey));
                     this.cache.set(key, value);
                 } catch (error) {
-                    console.warn(`[Storage] 缓存加载失败 (${key})`);
+                    this.logger.warn(`缓存加载失败 (${key})`);
                 }
             }
         });
         
-        console.log(`[Storage] 缓存已加载，共 ${this.cache.size} 项`);
+        this.logger.info(`缓存已加载，共 ${this.cache.size} 项`);
     }
     
     /**
@@ -471,10 +474,10 @@ export class Storage {
                     }
                 }
                 
-                console.log(`[Storage] 从服务器加载了 ${Object.keys(serverData).length} 项数据`);
+                this.logger.info(`从服务器加载了 ${Object.keys(serverData).length} 项数据`);
             }
         } catch (error) {
-            console.error(`[Storage] 服务器加载失败:`, error);
+            this.logger.error(`服务器加载失败:`, error);
         }
     }
     
@@ -507,10 +510,10 @@ export class Storage {
             
             if (typeof saveSettingsDebounced === 'function') {
                 saveSettingsDebounced();
-                console.log(`[Storage] 手动批量同步完成，同步了 ${Object.keys(allData).length} 项数据`);
+                this.logger.info(`手动批量同步完成，同步了 ${Object.keys(allData).length} 项数据`);
             }
         } catch (error) {
-            console.error(`[Storage] 批量同步失败:`, error);
+            this.logger.error(`批量同步失败:`, error);
         }
     }
     
@@ -553,11 +556,11 @@ export class Storage {
             await this.setMultiple(importData.data);
             
             const count = Object.keys(importData.data).length;
-            console.log(`[Storage] 成功导入 ${count} 项数据`);
+            this.logger.info(`成功导入 ${count} 项数据`);
             
             return count;
         } catch (error) {
-            console.error('[Storage] 导入失败:', error);
+            this.logger.error('导入失败:', error);
             throw error;
         }
     }
@@ -655,7 +658,7 @@ export class Storage {
                 try {
                     callback(data);
                 } catch (error) {
-                    console.error(`[Storage] 事件处理器错误 (${event}):`, error);
+                    this.logger.error(`事件处理器错误 (${event}):`, error);
                 }
             });
         }
@@ -688,7 +691,7 @@ export class Storage {
                         oldValue: oldValue
                     });
                 } catch (error) {
-                    console.warn('[Storage] 处理外部变化失败:', error);
+                    this.logger.warn('处理外部变化失败:', error);
                 }
             }
         });
@@ -0,0 +1,196 @@
+/**
+ * 主题检测模块 - 检测 SillyTavern 的主题切换
+ * 负责：读取当前主题名，在主题可能变化时检查一次，确认变化后触发唯一的 themeChanged 事件
+ * 说明：优先订阅 SillyTavern 的 eventSource（设置保存/加载），同时监听 #themes 的 change 事件；
+ *      没有 eventSource 时改用 MutationObserver 监听主题选择器和自定义CSS输入框的替换。
+ *      所有来源共用一次防抖，同一次切换只会触发一次事件
+ */
+
+// 主题可能发生变化的 SillyTavern 事件
+const THEME_EVENTS = ['SETTINGS_UPDATED', 'SETTINGS_LOADED', 'APP_READY'];
+
+export class ThemeDetector {
+  /**
+   * @param {Object} logger - 日志
+   * @param {Object} options - {debounce: 防抖毫秒数}
+   */
+  constructor(logger, options = {}) {
+    this.logger = logger.child('ThemeDetector');
+    this.debounceDelay = options.debounce ?? 150;
+
+    this.currentTheme = null;
+    this.started = false;
+    this.checkTimer = null;
+
+    // 停止检测时需要解除的订阅
+    this.subscriptions = [];
+
+    // 事件监听器
+    this.listeners = new Map();
+  }
+
+  /**
+   * 开始检测
+   * @returns {string|null} 当前主题名（界面还没加载时为 null，识别到后会触发 themeChanged）
+   */
+  start() {
+    if (this.started) return this.currentTheme;
+    this.started = true;
+
+    this.currentTheme = this.readThemeName();
+
+    // #themes 可能晚于扩展创建，在 document 上委托监听
+    const onChange = (e) => {
+      if (e.target && e.target.id === 'themes') this.scheduleCheck();
+    };
+    document.addEventListener('change', onChange);
+    this.subscriptions.push(() => document.removeEventListener('change', onChange));
+
+    if (!this.subscribeEventSource()) {
+      this.observeDOM();
+    }
+
+    this.logger.info(`主题检测已启动，当前主题: ${this.currentTheme || '未识别'}`);
+    return this.currentTheme;
+  }
+
+  /**
+   * 订阅 SillyTavern 的事件
+   * @returns {boolean} 是否订阅成功
+   */
+  subscribeEventSource() {
+    const context = this.getSillyTavernContext();
+    const eventSource = context && context.eventSource;
+    const eventTypes = context && (context.eventTypes || context.event_types);
+    if (!eventSource || typeof eventSource.on !== 'function' || !eventTypes) return false;
+
+    const events = THEME_EVENTS.map(name => eventTypes[name]).filter(Boolean);
+    if (events.length === 0) return false;
+
+    const handler = () => this.scheduleCheck();
+    events.forEach(event => eventSource.on(event, handler));
+    this.subscriptions.push(() => {
+      const off = eventSource.removeListener || eventSource.off;
+      if (typeof off === 'function') {
+        events.forEach(event => off.call(eventSource, event, handler));
+      }
+    });
+
+    this.logger.debug('已订阅 SillyTavern 事件:', events);
+    return true;
+  }
+
+  /**
+   * 没有 eventSource 时的后备方案：主题选择器出现或被修改、自定义CSS输入框被替换时检查
+   */
+  observeDOM() {
+    const observer = new MutationObserver((mutations) => {
+      const relevant = mutations.some(mutation =>
+        mutation.type === 'attributes' ||
+        Array.from(mutation.addedNodes).some(node =>
+          node.nodeType === 1 && (node.id === 'themes' || node.id === 'customCSS' || node.tagName === 'OPTION' ||
+            (node.querySelector && node.querySelector('#themes, #customCSS')))
+        )
+      );
+      if (relevant) this.scheduleCheck();
+    });
+
+    observer.observe(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['selected', 'value']
+    });
+    this.subscriptions.push(() => observer.disconnect());
+
+    this.logger.debug('未找到 SillyTavern 事件源，使用 DOM 观察器');
+  }
+
+  /**
+   * 读取当前主题名：优先 SillyTavern 的设置，其次 #themes 选择器
+   */
+  readThemeName() {
+    const context = this.getSillyTavernContext();
+    const settings = context && (context.powerUserSettings || context.power_user);
+    if (settings && typeof settings.theme === 'string' && settings.theme) {
+      return settings.theme;
+    }
+
+    const select = document.getElementById('themes');
+    return select && select.value ? select.value : null;
+  }
+
+  getSillyTavernContext() {
+    try {
+      return window.SillyTavern && typeof window.SillyTavern.getContext === 'function'
+        ? window.SillyTavern.getContext()
+        : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 防抖：多个来源在短时间内同时触发时只检查一次
+   */
+  scheduleCheck() {
+    if (!this.started) return;
+    clearTimeout(this.checkTimer);
+    this.checkTimer = setTimeout(() => this.check(), this.debounceDelay);
+  }
+
+  /**
+   * 立即检查主题是否变化
+   * @returns {boolean} 是否发生变化
+   */
+  check() {
+    clearTimeout(this.checkTimer);
+    this.checkTimer = null;
+
+    const newTheme = this.readThemeName();
+    if (!newTheme || newTheme === this.currentTheme) return false;
+
+    const oldTheme = this.currentTheme;
+    this.currentTheme = newTheme;
+
+    this.logger.info(`主题切换: ${oldTheme || '未识别'} -> ${newTheme}`);
+    this.emit('themeChanged', { oldTheme, newTheme });
+    return true;
+  }
+
+  /**
+   * 停止检测
+   */
+  stop() {
+    clearTimeout(this.checkTimer);
+    this.checkTimer = null;
+    this.subscriptions.forEach(unsubscribe => unsubscribe());
+    this.subscriptions = [];
+    this.started = false;
+  }
+
+  /**
+   * 监听事件
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * 触发事件
+   */
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          this.logger.error(`事件处理器错误 (${event}):`, error);
+        }
+      });
+    }
+  }
+}
@@ -8,12 +8,19 @@
  * - 2025-09-05: 更名为"毛球点心铺"，字体列表折叠化，优化布局
  */
 
+import { CSSEditor } from './editor.js';
+import { Logger } from './logger.js';
+import { ProfileManager } from './profileManager.js';
+
 export class UI {
   constructor(extension) {
     this.extension = extension;
+    this.logger = extension.rootLogger.child('UI');
     this.currentTab = 'css'; // 当前标签页
     this.fontListElement = null;
     this.initialized = false;
+    this.historyVisible = null; // 历史版本列表是否可见（null 表示无法判断，总是刷新）
+    this.historyStale = false; // 列表不可见期间历史版本有变化
 
     // UI状态
     this.uiState = {
@@ -43,7 +50,7 @@ export class UI {
     this.bindEvents();
 
     this.initialized = true;
-    console.log('[UI] 界面初始化完成');
+    this.logger.info('界面初始化完成');
   }
 
   /**
@@ -153,6 +160,128 @@ export class UI {
    */
   createCSSTabContent() {
     return `
+            <div class="enhanced-section">
+                <h4>编辑器</h4>
+                <div id="enhanced-css-editor-host"></div>
+                <p class="hint">与自定义CSS输入框同步。Ctrl+Space 显示补全（页面上现有的类名和ID、@add 参数、CSS属性），Tab 缩进</p>
+            </div>
+            
+            <div class="enhanced-section">
+                <h4>更新方式</h4>
+                <div class="input-options">
+                    <label class="input-option">
+                        <span>停止输入后应用（毫秒）</span>
+                        <input type="number" id="enhanced-input-delay" class="text_pole compact" min="0" step="50">
+                    </label>
+                    <label class="input-option">
+                        <span>连续输入时最长等待（毫秒）</span>
+                        <input type="number" id="enhanced-input-max-wait" class="text_pole compact" min="0" step="100">
+                    </label>
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="enhanced-apply-on-blur">
+                        <span>失去焦点时应用</span>
+                    </label>
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="enhanced-apply-on-save">
+                        <span>Ctrl+S 应用</span>
+                    </label>
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="enhanced-preview-mode">
+                        <span>预览模式</span>
+                    </label>
+                </div>
+                <p class="hint">开启顶部的“实时更新”时，停止输入一段时间后自动应用（0 表示立即应用），连续输入时不会超过最长等待时间（0 表示不限制）；关闭后只在失去焦点或按 Ctrl+S 时应用</p>
+                <p class="hint">预览模式下修改先作为预览生效，输入框下方会出现提示条：点“应用”确认修改，点“还原”一键回到上次确认的状态</p>
+            </div>
+            
+            <div class="enhanced-section">
+                <h4>问题 <span class="problems-count" id="enhanced-problems-count">0</span></h4>
+                <div class="problems-list" id="enhanced-problems-list">
+                    <p class="hint">没有发现问题</p>
+                </div>
+            </div>
+            
+            <div class="enhanced-section" id="enhanced-script-errors-section" style="display: none;">
+                <h4>脚本错误 <span class="problems-count has-errors" id="enhanced-script-errors-count">0</span></h4>
+                <div class="problems-list" id="enhanced-script-errors-list"></div>
+            </div>
+            
+            <div class="enhanced-section">
+                <h4>代码片段 <span class="problems-count" id="enhanced-snippets-count">0</span></h4>
+                <div class="snippet-list" id="enhanced-snippet-list">
+                    <p class="hint">还没有代码片段</p>
+                </div>
+                <div class="snippet-editor" id="enhanced-snippet-editor" style="display: none;">
+                    <input type="text" id="enhanced-snippet-name" placeholder="片段名称" class="text_pole">
+                    <div id="enhanced-snippet-content"></div>
+                    <div class="snippet-editor-controls">
+                        <button id="enhanced-snippet-save" class="menu_button compact-btn">保存</button>
+                        <button id="enhanced-snippet-cancel" class="menu_button compact-btn">取消</button>
+                    </div>
+                </div>
+                <button id="enhanced-snippet-add" class="menu_button compact-btn">+ 新建片段</button>
+                <p class="hint">代码片段独立于主题保存，按列表顺序叠加在主题样式之后，切换主题后仍然生效</p>
+            </div>
+            
+            <div class="enhanced-section">
+                <h4>历史版本 <span class="problems-count" id="enhanced-history-count">0</span></h4>
+                <div class="history-list" id="enhanced-history-list">
+                    <p class="hint">还没有历史版本</p>
+                </div>
+                <div class="history-diff" id="enhanced-history-diff" style="display: none;"></div>
+                <div class="history-toolbar">
+                    <button id="enhanced-history-snapshot" class="menu_button compact-btn">+ 保存快照</button>
+                    <button id="enhanced-history-clear" class="menu_button compact-btn danger">清空</button>
+                </div>
+                <div class="input-options">
+                    <label class="input-option">
+                        <span>总大小上限（字符）</span>
+                        <input type="number" id="enhanced-history-max-size" class="text_pole compact" min="0" step="50000">
+                    </label>
+                </div>
+                <p class="hint">每次应用自定义CSS时自动记录，连续编辑时一分钟内的修改合并为一个版本；带标签的版本不会被自动淘汰。超过总大小上限时从最旧的版本开始淘汰。对比时左侧为所选版本，右侧为当前内容</p>
+            </div>
+            
+            <div class="enhanced-section">
+                <h4>脚本权限</h4>
+                <div class="script-access-row">
+                    <span>当前主题：<strong id="enhanced-script-theme">-</strong></span>
+                    <select id="enhanced-script-access" class="text_pole compact">
+                        <option value="full">完全访问</option>
+                        <option value="sandbox">沙箱模式</option>
+                    </select>
+                </div>
+                <div class="script-access-row">
+                    <span>代码片段</span>
+                    <select id="enhanced-snippet-script-access" class="text_pole compact">
+                        <option value="">使用默认权限</option>
+                        <option value="full">完全访问</option>
+                        <option value="sandbox">沙箱模式</option>
+                    </select>
+                </div>
+                <p class="hint">沙箱模式下脚本在隔离环境中运行，无法访问页面的 document 和 window，只能使用受限的 EnhancedCSS 接口</p>
+            </div>
+            
+            <div class="enhanced-section">
+                <h4>主题配置</h4>
+                <div class="script-access-row">
+                    <span>当前主题：<strong id="enhanced-profile-theme">-</strong></span>
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="enhanced-profile-enabled">
+                        <span>使用独立配置</span>
+                    </label>
+                </div>
+                <div id="enhanced-profile-body" style="display: none;">
+                    <div class="profile-options" id="enhanced-profile-options"></div>
+                    <div class="profile-actions">
+                        <select id="enhanced-profile-copy-target" class="text_pole compact"></select>
+                        <button id="enhanced-profile-copy" class="menu_button compact-btn">复制到该主题</button>
+                        <button id="enhanced-profile-reset" class="menu_button compact-btn danger">重置</button>
+                    </div>
+                </div>
+                <p class="hint">独立配置随主题自动切换，可单独指定字体、代码片段开关、功能开关和部分设置，未指定的项跟随全局</p>
+            </div>
+            
             <div class="enhanced-section">
                 <h4>使用说明</h4>
                 <div class="enhanced-help-content">
@@ -162,7 +291,26 @@ export class UI {
 .selector {
   @add: className "内容" top-10px left-20px;
   @add: image "url(图片)" 100x100 bottom-0 right-0;
-}</pre>
+}
+/* 默认会自动装饰之后出现的新消息，加 once 则只执行一次 */
+.mes { @add: tip "✦" top-0 right-0 once; }
+/* 指定标签、属性、内联样式和插入位置 */
+.mes .name_text {
+  @add: badge &lt;a href="https://example.com"&gt; "链接" { color: red; z-index: 3 } after;
+}
+/* 位置：top-10% left-calc(50%-20px) inset-4px top--1rem center center-x center-y */
+/* 插入位置：append(默认) prepend before after wrap replace
+   flow：不使用绝对定位，按文档流排列 */
+.mes .mes_text { @add: note "备注" prepend flow; }</pre>
+                    </div>
+                    
+                    <div class="help-section">
+                        <strong>响应式 @add：</strong>
+                        <pre class="code-block">
+@media (max-width: 768px) {
+  .mes { @add: mobile "📱" top-0 right-0; }
+}
+/* 仅在查询匹配时存在，不匹配时自动移除 */</pre>
                     </div>
                     
                     <div class="help-section">
@@ -175,8 +323,47 @@ EnhancedCSS.addElement('.selector', 'div', {
   html: '内容',
   style: { position: 'absolute' }
 });
+// 定时器、window/document 监听和观察器会在重新执行或清理时自动停止
+// 其他元素的监听请使用 EnhancedCSS.listen(el, 'click', fn)
+EnhancedCSS.onCleanup(() => { /* 自定义清理 */ });
+
+// 生命周期钩子（也可以 return { onMount() {}, onUnmount() {} }）
+EnhancedCSS.onMount(() => { /* CSS和@add装饰已应用 */ });
+EnhancedCSS.onUnmount(() => { /* 重新执行或清理前 */ });
+EnhancedCSS.onThemeChange(({ oldTheme, newTheme }) => { });
+EnhancedCSS.onDisable(() => { /* 扩展被禁用 */ });
 &lt;/script&gt;</pre>
                     </div>
+                    
+                    <div class="help-section">
+                        <strong>async 与模块脚本：</strong>
+                        <pre class="code-block">
+&lt;script async&gt;
+const data = await fetch('/api/...').then(r =&gt; r.json());
+&lt;/script&gt;
+
+&lt;script type="module" name="utils"&gt;
+export const pick = (list) =&gt; list[Math.floor(Math.random() * list.length)];
+&lt;/script&gt;
+&lt;script type="module"&gt;
+import { pick } from 'ecss:utils';
+export function onMount() { /* 模块导出的钩子同样生效 */ }
+&lt;/script&gt;
+/* 模块中同样可以直接使用 EnhancedCSS；沙箱模式不支持模块脚本 */</pre>
+                    </div>
+                    
+                    <div class="help-section">
+                        <strong>沙箱模式可用接口（均返回 Promise）：</strong>
+                        <pre class="code-block">
+EnhancedCSS.query('.mes')              // 元素快照 {tag, id, classes, text}
+EnhancedCSS.count('.mes')
+EnhancedCSS.decorate('.mes', { class: 'tip', text: '✦', style: {...} })
+EnhancedCSS.addClass('.mes', 'my-class')
+EnhancedCSS.addCSS('.mes { color: red; }')
+EnhancedCSS.on('.mes', 'click', e =&gt; EnhancedCSS.log(e.target.text))
+EnhancedCSS.storage.get('key') / set('key', value) / remove('key')
+// 定时器在脚本重新执行或清理时自动停止</pre>
+                    </div>
                 </div>
             </div>
         `;
@@ -296,35 +483,74 @@ body {
    */
   createToolsTabContent() {
     return `
-            <div class="enhanced-section">
-                <div class="tool-item">
-                    <h5>清理工具</h5>
-                    <div class="tool-actions">
-                        <button id="clear-all-btn" class="menu_button danger">
-                            <i class="fa fa-broom"></i> 清除所有自定义内容
-                        </button>
-                        <p class="hint">清除所有通过扩展添加的元素和样式</p>
+            <!-- 工具箱子标签页 -->
+            <div class="enhanced-subtabs-nav">
+                <button class="subtab-button active" data-subtab="tools-main">
+                    <i class="fa fa-tools"></i> 工具
+                </button>
+                <button class="subtab-button" data-subtab="tools-logs">
+                    <i class="fa fa-terminal"></i> 日志 <span class="problems-count" id="log-error-count">0</span>
+                </button>
+            </div>
+            
+            <div class="subtab-content active" id="subtab-tools-main">
+                <div class="enhanced-section">
+                    <div class="tool-item">
+                        <h5>清理工具</h5>
+                        <div class="tool-actions">
+                            <button id="clear-all-btn" class="menu_button danger">
+                                <i class="fa fa-broom"></i> 清除所有自定义内容
+                            </button>
+                            <p class="hint">清除所有通过扩展添加的元素和样式</p>
+                        </div>
                     </div>
-                </div>
                 
-                <div class="tool-item">
-                    <h5>性能监控</h5>
-                    <div id="performance-stats">
-                        <div class="stat-item">
-                            <span class="stat-label">添加的元素</span>
-                            <span class="stat-value" id="element-count">0</span>
-                        </div>
-                        <div class="stat-item">
-                            <span class="stat-label">添加的样式</span>
-                            <span class="stat-value" id="style-count">0</span>
-                        </div>
-                        <div class="stat-item">
-                            <span class="stat-label">字体数量</span>
-                            <span class="stat-value" id="font-count">0</span>
+                    <div class="tool-item">
+                        <h5>性能监控</h5>
+                        <div id="performance-stats">
+                            <div class="stat-item">
+                                <span class="stat-label">添加的元素</span>
+                                <span class="stat-value" id="element-count">0</span>
+                            </div>
+                            <div class="stat-item">
+                                <span class="stat-label">添加的样式</span>
+                                <span class="stat-value" id="style-count">0</span>
+                            </div>
+                            <div class="stat-item">
+                                <span class="stat-label">字体数量</span>
+                                <span class="stat-value" id="font-count">0</span>
+                            </div>
                         </div>
                     </div>
                 </div>
             </div>
+            
+            <div class="subtab-content" id="subtab-tools-logs">
+                <div class="log-toolbar">
+                    <select id="log-module-filter" class="text_pole compact">
+                        <option value="">全部模块</option>
+                    </select>
+                    <button id="log-copy-btn" class="menu_button compact">
+                        <i class="fa fa-copy"></i> 复制
+                    </button>
+                    <button id="log-clear-btn" class="menu_button compact">
+                        <i class="fa fa-trash"></i> 清空
+                    </button>
+                </div>
+                <div class="log-toolbar">
+                    <select id="log-level-select" class="text_pole compact" title="记录级别">
+                        ${Logger.LEVELS.map(level => `<option value="${level}">${level}</option>`).join('')}
+                    </select>
+                    <label class="checkbox_label compact-checkbox">
+                        <input type="checkbox" id="log-toast-enabled" checked>
+                        <span>出错时弹出提示</span>
+                    </label>
+                </div>
+                <div class="log-module-toggles" id="log-module-toggles"></div>
+                <div class="log-list" id="log-list">
+                    <p class="hint">暂无日志</p>
+                </div>
+            </div>
         `;
   }
 
@@ -385,6 +611,739 @@ body {
 
     // 工具箱事件
     this.bindToolsEvents();
+
+    // CSS标签页事件
+    this.bindCSSEvents();
+  }
+
+  /**
+   * 绑定CSS标签页事件
+   */
+  bindCSSEvents() {
+    // 点击问题或脚本错误跳转到对应位置
+    ['enhanced-problems-list', 'enhanced-script-errors-list'].forEach(id => {
+      const list = document.getElementById(id);
+      if (list) {
+        list.addEventListener('click', (e) => {
+          const item = e.target.closest('.problem-item[data-offset]');
+          if (item) {
+            this.jumpToSource(Number(item.dataset.offset));
+          }
+        });
+      }
+    });
+
+    this.createEditor();
+
+    this.renderDiagnostics(this.diagnostics || []);
+    this.renderScriptErrors(this.scriptErrors || []);
+
+    // 脚本权限
+    const accessSelect = document.getElementById('enhanced-script-access');
+    if (accessSelect) {
+      accessSelect.addEventListener('change', (e) => {
+        const theme = this.extension.currentTheme;
+        if (theme) {
+          this.extension.setScriptAccess(theme, e.target.value);
+        } else {
+          // 还没识别到主题时修改默认权限
+          this.extension.setDefaultScriptAccess(e.target.value);
+        }
+      });
+    }
+
+    const snippetAccessSelect = document.getElementById('enhanced-snippet-script-access');
+    if (snippetAccessSelect) {
+      snippetAccessSelect.value = this.extension.settings.snippetScriptAccess || '';
+      snippetAccessSelect.addEventListener('change', (e) => {
+        this.extension.setSnippetScriptAccess(e.target.value);
+      });
+    }
+
+    this.refreshScriptAccess();
+
+    this.bindSnippetEvents();
+    this.bindProfileEvents();
+    this.bindHistoryEvents();
+  }
+
+  /**
+   * 绑定主题配置事件
+   */
+  bindProfileEvents() {
+    const manager = this.extension.profileManager;
+    const enabledCheckbox = document.getElementById('enhanced-profile-enabled');
+    const options = document.getElementById('enhanced-profile-options');
+    if (!enabledCheckbox || !options) return;
+
+    enabledCheckbox.addEventListener('change', async (e) => {
+      const theme = this.extension.currentTheme;
+      if (!theme) {
+        e.target.checked = false;
+        alert('还没有识别到当前主题');
+        return;
+      }
+
+      if (e.target.checked) {
+        await manager.create(theme);
+      } else if (confirm(`确定要删除主题「${theme}」的独立配置吗？`)) {
+        await manager.reset(theme);
+      } else {
+        e.target.checked = true;
+      }
+    });
+
+    // 选项：空值表示跟随全局
+    options.addEventListener('change', (e) => {
+      const select = e.target.closest('select[data-section]');
+      if (!select) return;
+
+      const { section, key } = select.dataset;
+      let value = select.value;
+      if (section !== 'font') {
+        value = value === '' ? undefined : value === 'on';
+      }
+      manager.set(this.extension.currentTheme, section, key || null, value);
+    });
+
+    document.getElementById('enhanced-profile-copy')?.addEventListener('click', async () => {
+      const target = document.getElementById('enhanced-profile-copy-target').value;
+      const theme = this.extension.currentTheme;
+      if (!target) return;
+
+      if (manager.has(target) && !confirm(`主题「${target}」已有独立配置，确定要覆盖吗？`)) return;
+      await manager.copy(theme, target);
+      alert(`已复制到主题「${target}」`);
+    });
+
+    document.getElementById('enhanced-profile-reset')?.addEventListener('click', async () => {
+      const theme = this.extension.currentTheme;
+      if (theme && confirm(`确定要删除主题「${theme}」的独立配置吗？`)) {
+        await manager.reset(theme);
+      }
+    });
+
+    this.renderProfile();
+  }
+
+  /**
+   * 渲染当前主题的配置
+   */
+  renderProfile() {
+    const themeLabel = document.getElementById('enhanced-profile-theme');
+    const enabledCheckbox = document.getElementById('enhanced-profile-enabled');
+    const body = document.getElementById('enhanced-profile-body');
+    const options = document.getElementById('enhanced-profile-options');
+    if (!themeLabel || !body || !options) return;
+
+    const theme = this.extension.currentTheme;
+    const profile = this.extension.profileManager.get(theme);
+    themeLabel.textContent = theme || '未识别';
+    enabledCheckbox.checked = !!profile;
+    body.style.display = profile ? '' : 'none';
+    if (!profile) return;
+
+    const labels = {
+      scripts: '脚本',
+      addCommands: '@add 装饰',
+      snippets: '代码片段',
+      realTimeUpdate: '实时更新',
+      autoCleanOnThemeChange: '切换主题时清理',
+      errorToast: '出错提示'
+    };
+
+    const toggle = (section, key, label, current) => `
+            <label class="profile-option">
+                <span>${this.escapeHTML(label)}</span>
+                <select class="text_pole compact" data-section="${section}" data-key="${this.escapeHTML(key)}">
+                    <option value="" ${current === undefined ? 'selected' : ''}>跟随全局</option>
+                    <option value="on" ${current === true ? 'selected' : ''}>开启</option>
+                    <option value="off" ${current === false ? 'selected' : ''}>关闭</option>
+                </select>
+            </label>
+        `;
+
+    const fonts = this.extension.fontManager.getAllFonts();
+    const fontOptions = fonts.map(font => `
+                    <option value="${this.escapeHTML(font.name)}" ${profile.font === font.name ? 'selected' : ''}>${this.escapeHTML(font.name)}</option>
+        `).join('');
+
+    options.innerHTML = `
+            <label class="profile-option">
+                <span>字体</span>
+                <select class="text_pole compact" data-section="font">
+                    <option value="">跟随全局</option>
+                    ${fontOptions}
+                </select>
+            </label>
+            ${ProfileManager.FEATURES.map(feature => toggle('features', feature, labels[feature], profile.features[feature])).join('')}
+            ${ProfileManager.SETTING_KEYS.map(key => toggle('settings', key, labels[key], profile.settings[key])).join('')}
+            ${this.extension.snippetManager.getAll().map(snippet => toggle('snippets', snippet.id, `片段：${snippet.name}`, profile.snippets[snippet.id])).join('')}
+        `;
+
+    // 复制目标：SillyTavern 主题列表中的其他主题
+    const copyTarget = document.getElementById('enhanced-profile-copy-target');
+    if (copyTarget) {
+      const themes = Array.from(document.querySelectorAll('#themes option'))
+        .map(option => option.value)
+        .filter(name => name && name !== theme);
+      copyTarget.innerHTML = themes.length
+        ? themes.map(name => `<option value="${this.escapeHTML(name)}">${this.escapeHTML(name)}</option>`).join('')
+        : '<option value="">没有其他主题</option>';
+    }
+  }
+
+  /**
+   * 创建内置编辑器，内容与 SillyTavern 的自定义CSS输入框双向同步
+   */
+  createEditor() {
+    const host = document.getElementById('enhanced-css-editor-host');
+    if (!host) return;
+
+    const source = document.getElementById('customCSS');
+    this.editor = new CSSEditor(host, {
+      value: source ? source.value : '',
+      placeholder: '在这里编写CSS、@add 命令和 <script>',
+      onChange: (value) => {
+        const textarea = document.getElementById('customCSS');
+        if (!textarea) return;
+        // 通过 input 事件交给 SillyTavern 保存，扩展的输入框监听负责处理
+        textarea.value = value;
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+      }
+    });
+
+    // 编辑器失去焦点和 Ctrl+S 同样触发应用（输入已经通过 customCSS 的 input 事件传递）
+    this.extension.inputPipeline.attach(this.editor.input, { input: false });
+
+    // 直接在自定义CSS输入框中编辑时同步回编辑器（主题切换后输入框可能被替换，因此在 document 上监听）
+    document.addEventListener('input', (e) => {
+      if (e.target && e.target.id === 'customCSS') {
+        this.syncEditor(e.target.value);
+      }
+    });
+  }
+
+  /**
+   * 把输入框内容同步到编辑器
+   * @param {string} content - 自定义CSS内容
+   */
+  syncEditor(content) {
+    if (this.editor && this.editor.getValue() !== content) {
+      this.editor.setValue(content);
+    }
+  }
+
+  /**
+   * 显示或移除预览提示条（内置编辑器和自定义CSS输入框下方各一个）
+   * @param {Object|null} state - {errors: 当前内容的错误数}，null 表示不在预览中
+   */
+  renderPreviewBar(state) {
+    const anchors = [
+      ['enhanced-preview-bar', document.getElementById('enhanced-css-editor-host')],
+      ['enhanced-preview-bar-textarea', document.getElementById('customCSS')]
+    ];
+
+    anchors.forEach(([id, anchor]) => {
+      let bar = document.getElementById(id);
+      if (!state) {
+        if (bar) bar.remove();
+        return;
+      }
+      if (!anchor) return;
+
+      if (!bar) bar = this.createPreviewBar(id);
+      // 主题切换后输入框可能被替换，每次都放到当前输入框下方
+      if (anchor.nextElementSibling !== bar) anchor.after(bar);
+
+      bar.classList.toggle('has-errors', state.errors > 0);
+      bar.querySelector('.preview-bar-message').textContent = state.errors > 0
+        ? `预览中：修改尚未应用，有 ${state.errors} 个错误`
+        : '预览中：修改尚未应用';
+    });
+  }
+
+  createPreviewBar(id) {
+    const bar = document.createElement('div');
+    bar.id = id;
+    bar.className = 'enhanced-preview-bar';
+    bar.innerHTML = `
+            <i class="fa-solid fa-eye"></i>
+            <span class="preview-bar-message"></span>
+            <button class="menu_button compact-btn" data-preview-action="commit">应用</button>
+            <button class="menu_button compact-btn danger" data-preview-action="revert">还原</button>
+        `;
+
+    bar.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-preview-action]');
+      if (!button) return;
+      if (button.dataset.previewAction === 'commit') {
+        this.extension.commitPreview();
+      } else {
+        this.extension.revertPreview();
+      }
+    });
+    return bar;
+  }
+
+  /**
+   * 绑定代码片段事件
+   */
+  bindSnippetEvents() {
+    const manager = this.extension.snippetManager;
+    const list = document.getElementById('enhanced-snippet-list');
+    const editor = document.getElementById('enhanced-snippet-editor');
+    const nameInput = document.getElementById('enhanced-snippet-name');
+    const contentHost = document.getElementById('enhanced-snippet-content');
+    if (!list || !editor || !contentHost) return;
+
+    // 片段内容编辑器，输入停顿后显示语法问题
+    let checkTimer = null;
+    const contentInput = new CSSEditor(contentHost, {
+      placeholder: '与自定义CSS输入框语法相同：CSS、@add 命令和 <script>',
+      onChange: (value) => {
+        clearTimeout(checkTimer);
+        checkTimer = setTimeout(() => {
+          contentInput.setDiagnostics(this.extension.cssProcessor.parser.parse(value).diagnostics);
+        }, 300);
+      }
+    });
+    this.snippetEditor = contentInput;
+
+    // 正在编辑的片段ID，null 表示新建
+    this.editingSnippetId = null;
+
+    const openEditor = (snippet) => {
+      this.editingSnippetId = snippet ? snippet.id : null;
+      nameInput.value = snippet ? snippet.name : '';
+      contentInput.setValue(snippet ? snippet.content : '');
+      contentInput.setDiagnostics(this.extension.cssProcessor.parser.parse(contentInput.getValue()).diagnostics);
+      editor.style.display = '';
+      nameInput.focus();
+    };
+
+    const closeEditor = () => {
+      this.editingSnippetId = null;
+      editor.style.display = 'none';
+    };
+
+    document.getElementById('enhanced-snippet-add')?.addEventListener('click', () => openEditor(null));
+    document.getElementById('enhanced-snippet-cancel')?.addEventListener('click', closeEditor);
+
+    document.getElementById('enhanced-snippet-save')?.addEventListener('click', async () => {
+      const data = { name: nameInput.value, content: contentInput.getValue() };
+      try {
+        if (this.editingSnippetId) {
+          await manager.update(this.editingSnippetId, data);
+        } else {
+          await manager.add(data);
+        }
+        closeEditor();
+      } catch (error) {
+        this.logger.error('保存代码片段失败:', error);
+        alert('保存代码片段失败: ' + error.message);
+      }
+    });
+
+    list.addEventListener('change', (e) => {
+      const item = e.target.closest('.snippet-item');
+      if (item && e.target.classList.contains('snippet-toggle')) {
+        manager.update(item.dataset.id, { enabled: e.target.checked });
+      }
+    });
+
+    list.addEventListener('click', async (e) => {
+      const button = e.target.closest('[data-action]');
+      const item = e.target.closest('.snippet-item');
+      if (!button || !item) return;
+
+      const id = item.dataset.id;
+      switch (button.dataset.action) {
+        case 'up':
+          await manager.move(id, -1);
+          break;
+        case 'down':
+          await manager.move(id, 1);
+          break;
+        case 'edit':
+          openEditor(manager.get(id));
+          break;
+        case 'delete': {
+          const snippet = manager.get(id);
+          if (snippet && confirm(`确定要删除代码片段「${snippet.name}」吗？`)) {
+            if (this.editingSnippetId === id) closeEditor();
+            await manager.remove(id);
+          }
+          break;
+        }
+      }
+    });
+
+    this.renderSnippets();
+  }
+
+  /**
+   * 渲染代码片段列表
+   */
+  renderSnippets() {
+    const list = document.getElementById('enhanced-snippet-list');
+    const count = document.getElementById('enhanced-snippets-count');
+    if (!list) return;
+
+    const snippets = this.extension.snippetManager.getAll();
+    if (count) count.textContent = snippets.length;
+
+    if (snippets.length === 0) {
+      list.innerHTML = '<p class="hint">还没有代码片段</p>';
+      return;
+    }
+
+    list.innerHTML = snippets.map((snippet, i) => {
+      const result = this.extension.snippetResults.get(snippet.id);
+      const issues = [];
+      if (result && result.problems > 0) issues.push(`${result.problems} 个语法错误`);
+      if (result && result.errors > 0) issues.push(`${result.errors} 个脚本错误`);
+
+      return `
+            <div class="snippet-item ${snippet.enabled ? '' : 'disabled'}" data-id="${this.escapeHTML(snippet.id)}">
+                <input type="checkbox" class="snippet-toggle" title="启用" ${snippet.enabled ? 'checked' : ''}>
+                <span class="snippet-name">${this.escapeHTML(snippet.name)}</span>
+                ${issues.length ? `<span class="snippet-issues">${issues.join('，')}</span>` : ''}
+                <div class="snippet-actions">
+                    <button class="menu_button compact icon-only" data-action="up" title="上移" ${i === 0 ? 'disabled' : ''}><i class="fa fa-arrow-up"></i></button>
+                    <button class="menu_button compact icon-only" data-action="down" title="下移" ${i === snippets.length - 1 ? 'disabled' : ''}><i class="fa fa-arrow-down"></i></button>
+                    <button class="menu_button compact icon-only" data-action="edit" title="编辑"><i class="fa fa-pen"></i></button>
+                    <button class="menu_button compact icon-only" data-action="delete" title="删除"><i class="fa fa-trash"></i></button>
+                </div>
+            </div>
+        `;
+    }).join('');
+  }
+
+  /**
+   * 绑定历史版本事件
+   */
+  bindHistoryEvents() {
+    const manager = this.extension.historyManager;
+    const list = document.getElementById('enhanced-history-list');
+    const viewer = document.getElementById('enhanced-history-diff');
+    if (!list || !viewer) return;
+
+    const snapshotBtn = document.getElementById('enhanced-history-snapshot');
+    if (snapshotBtn) {
+      snapshotBtn.addEventListener('click', async () => {
+        const label = prompt('快照标签（可留空）:', '');
+        if (label === null) return;
+        await manager.snapshot(this.getCustomCSSContent(), this.extension.currentTheme, label);
+      });
+    }
+
+    const clearBtn = document.getElementById('enhanced-history-clear');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', async () => {
+        if (confirm('确定要清空历史版本吗？带标签的版本会保留。')) {
+          await manager.clear();
+        }
+      });
+    }
+
+    const maxSizeInput = document.getElementById('enhanced-history-max-size');
+    if (maxSizeInput) {
+      maxSizeInput.value = this.extension.settings.historyMaxSize;
+      maxSizeInput.addEventListener('change', (e) => {
+        this.extension.settings.historyMaxSize = Math.max(0, parseInt(e.target.value, 10) || 0);
+        e.target.value = this.extension.settings.historyMaxSize;
+        this.extension.applyRuntimeSettings();
+        this.extension.saveSettings();
+      });
+    }
+
+    list.addEventListener('click', async (e) => {
+      const button = e.target.closest('[data-action]');
+      const item = e.target.closest('.history-item');
+      if (!button || !item) return;
+
+      const id = item.dataset.id;
+      const entry = manager.get(id);
+      if (!entry) return;
+
+      switch (button.dataset.action) {
+        case 'diff':
+          this.showHistoryDiff(id);
+          break;
+        case 'restore':
+          if (confirm('确定要用这个版本替换自定义CSS输入框的内容吗？当前内容会先记录到历史中。')) {
+            try {
+              this.extension.restoreHistory(id);
+            } catch (error) {
+              alert(`还原失败: ${error.message}`);
+            }
+          }
+          break;
+        case 'label': {
+          const label = prompt('版本标签（留空表示去掉标签）:', entry.label || '');
+          if (label !== null) await manager.setLabel(id, label);
+          break;
+        }
+        case 'delete':
+          if (confirm('确定要删除这个历史版本吗？')) {
+            await manager.remove(id);
+          }
+          break;
+      }
+    });
+
+    viewer.addEventListener('click', (e) => {
+      if (e.target.closest('[data-action="close-diff"]')) {
+        this.hideHistoryDiff();
+      }
+    });
+
+    // 列表不可见（面板关闭或在其他标签页）时不刷新，显示时补上
+    if (typeof IntersectionObserver !== 'undefined') {
+      this.historyVisible = false;
+      new IntersectionObserver((entries) => {
+        this.historyVisible = entries[entries.length - 1].isIntersecting;
+        if (this.historyVisible && this.historyStale) this.renderHistory();
+      }).observe(list);
+    }
+
+    this.renderHistory();
+  }
+
+  /**
+   * 历史版本变化后刷新列表，不可见时只记为待刷新
+   */
+  scheduleHistoryRender() {
+    if (this.historyVisible === false) {
+      this.historyStale = true;
+      return;
+    }
+    this.renderHistory();
+  }
+
+  /**
+   * 当前自定义CSS输入框的内容
+   */
+  getCustomCSSContent() {
+    const textarea = document.getElementById('customCSS');
+    return textarea ? textarea.value : this.extension.currentCSSContent;
+  }
+
+  /**
+   * 渲染历史版本列表
+   */
+  renderHistory() {
+    const list = document.getElementById('enhanced-history-list');
+    const count = document.getElementById('enhanced-history-count');
+    if (!list) return;
+    this.historyStale = false;
+
+    const entries = this.extension.historyManager.getAll();
+    if (count) count.textContent = entries.length;
+
+    // 正在对比的版本被删除时关闭对比
+    if (this.diffHistoryId && !this.extension.historyManager.get(this.diffHistoryId)) {
+      this.hideHistoryDiff();
+    }
+
+    if (entries.length === 0) {
+      list.innerHTML = '<p class="hint">还没有历史版本</p>';
+      return;
+    }
+
+    list.innerHTML = entries.map(entry => `
+            <div class="history-item ${entry.id === this.diffHistoryId ? 'active' : ''}" data-id="${this.escapeHTML(entry.id)}">
+                <span class="history-time">${new Date(entry.updatedAt || entry.createdAt).toLocaleString()}</span>
+                ${entry.label ? `<span class="history-label">${this.escapeHTML(entry.label)}</span>` : ''}
+                <span class="history-meta">${this.escapeHTML(entry.theme || '未识别主题')} · ${entry.content.length} 字符</span>
+                <div class="snippet-actions">
+                    <button class="menu_button compact icon-only" data-action="diff" title="与当前内容对比"><i class="fa fa-code-compare"></i></button>
+                    <button class="menu_button compact icon-only" data-action="restore" title="还原"><i class="fa fa-rotate-left"></i></button>
+                    <button class="menu_button compact icon-only" data-action="label" title="标签"><i class="fa fa-tag"></i></button>
+                    <button class="menu_button compact icon-only" data-action="delete" title="删除"><i class="fa fa-trash"></i></button>
+                </div>
+            </div>
+        `).join('');
+  }
+
+  /**
+   * 并排显示历史版本（左）与当前内容（右）的差异
+   * @param {string} id - 历史版本ID
+   */
+  showHistoryDiff(id) {
+    const manager = this.extension.historyManager;
+    const viewer = document.getElementById('enhanced-history-diff');
+    const entry = manager.get(id);
+    if (!viewer || !entry) return;
+
+    this.diffHistoryId = id;
+    const { rows, added, removed } = manager.diffLines(entry.content, this.getCustomCSSContent());
+    const title = entry.label || new Date(entry.updatedAt || entry.createdAt).toLocaleString();
+
+    const cell = (side, kind) => side
+      ? `<span class="diff-line-number">${side.line}</span><span class="diff-text ${kind}">${this.escapeHTML(side.text) || ' '}</span>`
+      : '<span class="diff-line-number"></span><span class="diff-text empty"></span>';
+
+    const body = added + removed === 0
+      ? '<p class="hint">与当前内容相同</p>'
+      : `<div class="history-diff-body">${rows.map(row => {
+        if (row.type === 'fold') {
+          return `<div class="diff-fold">… ${row.count} 行未改变</div>`;
+        }
+        const changed = row.type === 'changed';
+        return cell(row.left, changed ? 'removed' : '') + cell(row.right, changed ? 'added' : '');
+      }).join('')}</div>`;
+
+    viewer.innerHTML = `
+            <div class="history-diff-header">
+                <span>${this.escapeHTML(title)} → 当前内容
+                    <span class="diff-count removed">-${removed}</span>
+                    <span class="diff-count added">+${added}</span>
+                </span>
+                <button class="menu_button compact icon-only" data-action="close-diff" title="关闭"><i class="fa fa-xmark"></i></button>
+            </div>
+            ${body}
+        `;
+    viewer.style.display = '';
+    this.renderHistory();
+  }
+
+  hideHistoryDiff() {
+    const viewer = document.getElementById('enhanced-history-diff');
+    if (viewer) {
+      viewer.style.display = 'none';
+      viewer.innerHTML = '';
+    }
+    this.diffHistoryId = null;
+  }
+
+  /**
+   * 刷新当前主题的脚本权限显示
+   */
+  refreshScriptAccess() {
+    const themeLabel = document.getElementById('enhanced-script-theme');
+    const accessSelect = document.getElementById('enhanced-script-access');
+    if (!themeLabel || !accessSelect) return;
+
+    const theme = this.extension.currentTheme;
+    themeLabel.textContent = theme || '未识别（默认权限）';
+    accessSelect.value = theme
+      ? this.extension.getScriptAccess(theme)
+      : this.extension.settings.defaultScriptAccess || 'full';
+  }
+
+  /**
+   * 渲染问题列表
+   * @param {Array} diagnostics - CSSProcessor 返回的诊断信息
+   */
+  renderDiagnostics(diagnostics) {
+    this.diagnostics = diagnostics;
+    if (this.editor) this.editor.setDiagnostics(diagnostics);
+
+    const list = document.getElementById('enhanced-problems-list');
+    const count = document.getElementById('enhanced-problems-count');
+    if (!list) return;
+
+    if (count) {
+      count.textContent = diagnostics.length;
+      count.classList.toggle('has-errors', diagnostics.some(d => d.severity === 'error'));
+    }
+
+    if (diagnostics.length === 0) {
+      list.innerHTML = '<p class="hint">没有发现问题</p>';
+      return;
+    }
+
+    const icons = {
+      error: 'fa-circle-xmark',
+      warning: 'fa-triangle-exclamation',
+      info: 'fa-circle-info'
+    };
+
+    list.innerHTML = diagnostics.map(d => `
+            <div class="problem-item severity-${d.severity}" data-offset="${d.offset}" title="点击跳转到第 ${d.line} 行">
+                <i class="fa-solid ${icons[d.severity] || icons.info}"></i>
+                <span class="problem-location">${d.line}:${d.column}</span>
+                <span class="problem-message">${this.escapeHTML(d.message)}</span>
+                ${d.snippet ? `<code class="problem-snippet">${this.escapeHTML(d.snippet)}</code>` : ''}
+            </div>
+        `).join('');
+  }
+
+  /**
+   * 渲染脚本错误面板，每个出错的脚本块一项
+   * @param {Array} errors - 脚本错误 {label, message, line, column, offset, snippet, located}
+   */
+  renderScriptErrors(errors) {
+    this.scriptErrors = errors;
+
+    const section = document.getElementById('enhanced-script-errors-section');
+    const list = document.getElementById('enhanced-script-errors-list');
+    const count = document.getElementById('enhanced-script-errors-count');
+    if (!section || !list) return;
+
+    section.style.display = errors.length > 0 ? '' : 'none';
+    if (count) count.textContent = errors.length;
+
+    list.innerHTML = errors.map(error => {
+      const hasOffset = error.offset !== null && error.offset !== undefined;
+      // 无法从堆栈定位时只能指向脚本块开头
+      const location = hasOffset ? `${error.line}:${error.column}${error.located ? '' : ' (块开头)'}` : '';
+
+      return `
+            <div class="problem-item severity-error" ${hasOffset ? `data-offset="${error.offset}"` : ''}>
+                <i class="fa-solid fa-bug"></i>
+                <strong>${this.escapeHTML(error.label)}</strong>
+                ${location ? `<span class="problem-location">${location}</span>` : ''}
+                <span class="problem-message">${this.escapeHTML(error.message)}</span>
+                ${hasOffset ? '<a class="problem-jump">跳转</a>' : ''}
+                ${error.snippet ? `<code class="problem-snippet">${this.escapeHTML(error.snippet)}</code>` : ''}
+            </div>
+        `;
+    }).join('');
+  }
+
+  /**
+   * 跳转到指定位置（内置编辑器或自定义CSS输入框）
+   * @param {number} offset - 内容偏移量
+   */
+  jumpToSource(offset) {
+    if (Number.isNaN(offset)) return;
+
+    // 优先在面板内的编辑器中定位（问题列表就在编辑器下方）
+    if (this.editor) {
+      this.editor.revealOffset(offset);
+      this.editor.root.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+      return;
+    }
+
+    const textarea = document.getElementById('customCSS');
+    if (!textarea) return;
+
+    const value = textarea.value;
+    const start = Math.min(offset, value.length);
+    const lineEnd = value.indexOf('\n', start);
+
+    textarea.focus();
+    textarea.setSelectionRange(start, lineEnd === -1 ? value.length : lineEnd);
+
+    // 估算行高，把目标行滚动到可见区域
+    const line = value.slice(0, start).split('\n').length;
+    const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 18;
+    textarea.scrollTop = Math.max(0, (line - 3) * lineHeight);
+    textarea.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }
+
+  /**
+   * 转义HTML
+   */
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   }
 
   /**
@@ -423,6 +1382,7 @@ body {
         this.extension.saveSettings();
 
         if (!e.target.checked) {
+          this.extension.core.disableScripts();
           this.extension.core.clearAll();
         } else {
           this.extension.applyCurrentConfiguration();
@@ -436,8 +1396,45 @@ body {
       realtimeCheckbox.checked = this.extension.settings.realTimeUpdate;
       realtimeCheckbox.addEventListener('change', (e) => {
         this.extension.settings.realTimeUpdate = e.target.checked;
+        this.extension.applyRuntimeSettings();
+        this.extension.saveSettings();
+      });
+    }
+
+    // 更新方式：修改后立即交给输入管道
+    const inputSettings = [
+      ['enhanced-input-delay', 'inputDelay', 'number'],
+      ['enhanced-input-max-wait', 'inputMaxWait', 'number'],
+      ['enhanced-apply-on-blur', 'applyOnBlur', 'checkbox'],
+      ['enhanced-apply-on-save', 'applyOnSave', 'checkbox']
+    ];
+    inputSettings.forEach(([elementId, key, type]) => {
+      const input = document.getElementById(elementId);
+      if (!input) return;
+
+      if (type === 'checkbox') {
+        input.checked = this.extension.settings[key] !== false;
+      } else {
+        input.value = this.extension.settings[key];
+      }
+
+      input.addEventListener('change', (e) => {
+        this.extension.settings[key] = type === 'checkbox'
+          ? e.target.checked
+          : Math.max(0, parseInt(e.target.value, 10) || 0);
+        if (type !== 'checkbox') e.target.value = this.extension.settings[key];
+        this.extension.applyRuntimeSettings();
         this.extension.saveSettings();
       });
+    });
+
+    // 预览模式开关
+    const previewCheckbox = document.getElementById('enhanced-preview-mode');
+    if (previewCheckbox) {
+      previewCheckbox.checked = !!this.extension.settings.previewMode;
+      previewCheckbox.addEventListener('change', (e) => {
+        this.extension.setPreviewMode(e.target.checked);
+      });
     }
 
     // 调试模式开关
@@ -447,6 +1444,7 @@ body {
       debugCheckbox.addEventListener('change', (e) => {
         this.extension.settings.debugMode = e.target.checked;
         this.extension.core.setDebugMode(e.target.checked);
+        this.extension.applyLogSettings();
         this.extension.saveSettings();
       });
     }
@@ -627,6 +1625,203 @@ body {
     // 更新统计信息
     this.updateStats();
     setInterval(() => this.updateStats(), 5000);
+
+    // 日志控制台
+    this.bindLogEvents();
+  }
+
+  /**
+   * 绑定日志控制台事件
+   */
+  bindLogEvents() {
+    document.querySelectorAll('.subtab-button').forEach(btn => {
+      btn.addEventListener('click', () => this.switchSubTab(btn.dataset.subtab));
+    });
+
+    const moduleFilter = document.getElementById('log-module-filter');
+    if (moduleFilter) {
+      moduleFilter.addEventListener('change', () => this.renderLogs());
+    }
+
+    const copyBtn = document.getElementById('log-copy-btn');
+    if (copyBtn) {
+      copyBtn.addEventListener('click', () => this.copyLogs());
+    }
+
+    const clearBtn = document.getElementById('log-clear-btn');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => this.extension.logStore.clear());
+    }
+
+    const levelSelect = document.getElementById('log-level-select');
+    if (levelSelect) {
+      levelSelect.value = this.extension.settings.logLevel || 'info';
+      levelSelect.addEventListener('change', (e) => {
+        this.extension.settings.logLevel = e.target.value;
+        this.extension.applyLogSettings();
+        this.extension.saveSettings();
+      });
+    }
+
+    // 模块开关（关闭后只记录该模块的错误）
+    const moduleToggles = document.getElementById('log-module-toggles');
+    if (moduleToggles) {
+      moduleToggles.addEventListener('change', (e) => {
+        const module = e.target.dataset.module;
+        if (!module) return;
+
+        const modules = { ...(this.extension.settings.logModules || {}) };
+        if (e.target.checked) {
+          delete modules[module];
+        } else {
+          modules[module] = false;
+        }
+        this.extension.settings.logModules = modules;
+        this.extension.applyLogSettings();
+        this.extension.saveSettings();
+      });
+    }
+
+    const toastCheckbox = document.getElementById('log-toast-enabled');
+    if (toastCheckbox) {
+      toastCheckbox.checked = this.extension.settings.errorToast !== false;
+      toastCheckbox.addEventListener('change', (e) => {
+        this.extension.settings.errorToast = e.target.checked;
+        this.extension.applyRuntimeSettings();
+        this.extension.saveSettings();
+      });
+    }
+
+    // 新日志合并到下一帧渲染
+    const scheduleRender = () => {
+      if (this.logRenderScheduled) return;
+      this.logRenderScheduled = true;
+      requestAnimationFrame(() => {
+        this.logRenderScheduled = false;
+        this.renderLogs();
+      });
+    };
+    this.extension.logStore.on('added', scheduleRender);
+    this.extension.logStore.on('cleared', scheduleRender);
+
+    this.renderLogs();
+  }
+
+  /**
+   * 渲染模块日志开关
+   */
+  renderLogModuleToggles() {
+    const container = document.getElementById('log-module-toggles');
+    if (!container) return;
+
+    const disabled = this.extension.settings.logModules || {};
+    container.innerHTML = this.extension.rootLogger.getModules().map(module => `
+            <label class="checkbox_label compact-checkbox">
+                <input type="checkbox" data-module="${this.escapeHTML(module)}" ${disabled[module] === false ? '' : 'checked'}>
+                <span>${this.escapeHTML(module)}</span>
+            </label>
+        `).join('');
+  }
+
+  /**
+   * 切换工具箱子标签页
+   */
+  switchSubTab(name) {
+    document.querySelectorAll('.subtab-button').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.subtab === name);
+    });
+    document.querySelectorAll('.subtab-content').forEach(content => {
+      content.classList.toggle('active', content.id === `subtab-${name}`);
+    });
+
+    // 模块在运行中陆续注册，打开日志页时刷新开关
+    if (name === 'tools-logs') {
+      this.renderLogModuleToggles();
+    }
+  }
+
+  /**
+   * 渲染日志列表
+   */
+  renderLogs() {
+    const list = document.getElementById('log-list');
+    const moduleFilter = document.getElementById('log-module-filter');
+    const errorCount = document.getElementById('log-error-count');
+    if (!list) return;
+
+    const logStore = this.extension.logStore;
+
+    // 更新模块筛选项，保留当前选择
+    if (moduleFilter) {
+      const selected = moduleFilter.value;
+      const modules = logStore.getModules();
+      if (selected && !modules.includes(selected)) modules.push(selected);
+      moduleFilter.innerHTML = '<option value="">全部模块</option>' +
+        modules.map(name => `<option value="${this.escapeHTML(name)}">${this.escapeHTML(name)}</option>`).join('');
+      moduleFilter.value = selected;
+    }
+
+    if (errorCount) {
+      const errors = logStore.getEntries({ level: 'error' }).length;
+      errorCount.textContent = errors;
+      errorCount.classList.toggle('has-errors', errors > 0);
+    }
+
+    const entries = logStore.getEntries({ module: moduleFilter ? moduleFilter.value : '' });
+    if (entries.length === 0) {
+      list.innerHTML = '<p class="hint">暂无日志</p>';
+      return;
+    }
+
+    // 最新的在最上面
+    list.innerHTML = entries.slice().reverse().map(entry => `
+            <div class="log-entry level-${entry.level}" data-log-id="${entry.id}">
+                <span class="log-time">${new Date(entry.time).toLocaleTimeString()}</span>
+                <span class="log-module">${this.escapeHTML(entry.module)}</span>
+                <span class="log-message">${this.escapeHTML(entry.message)}</span>
+            </div>
+        `).join('');
+  }
+
+  /**
+   * 复制当前筛选的日志
+   */
+  async copyLogs() {
+    const moduleFilter = document.getElementById('log-module-filter');
+    const logStore = this.extension.logStore;
+    const text = logStore.format(logStore.getEntries({ module: moduleFilter ? moduleFilter.value : '' }));
+
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (e) {
+      // 剪贴板接口不可用时退回到选中文本复制
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      document.body.appendChild(textarea);
+      textarea.select();
+      document.execCommand('copy');
+      textarea.remove();
+    }
+  }
+
+  /**
+   * 打开日志控制台并定位到某条日志（点击错误提示时调用）
+   * @param {number} id - 日志ID
+   */
+  showLogEntry(id) {
+    const moduleFilter = document.getElementById('log-module-filter');
+    if (moduleFilter) moduleFilter.value = '';
+
+    this.switchTab('tools');
+    this.switchSubTab('tools-logs');
+    this.renderLogs();
+
+    const item = document.querySelector(`.log-entry[data-log-id="${id}"]`);
+    if (item) {
+      item.classList.add('highlighted');
+      item.scrollIntoView({ block: 'center', behavior: 'smooth' });
+      setTimeout(() => item.classList.remove('highlighted'), 2000);
+    }
   }
 
   /**
@@ -693,7 +1888,7 @@ body {
       // 刷新列表
       this.refreshFontList();
 
-      console.log('[UI] 字体添加成功:', fontData.name);
+      this.logger.info('字体添加成功:', fontData.name);
     } else {
       alert('字体添加失败，可能已存在同名字体');
     }
@@ -778,7 +1973,7 @@ body {
       if (currentFontIndex > 0) {  // 如果已经在第一位就不需要移动
         const currentFont = fonts.splice(currentFontIndex, 1)[0];
         fonts.unshift(currentFont);
-        console.log('[UI] 当前字体已置顶:', currentFontName);
+        this.logger.info('当前字体已置顶:', currentFontName);
       }
     }
 
@@ -1169,7 +2364,7 @@ body {
     a.click();
     URL.revokeObjectURL(url);
 
-    console.log('[UI] 字体配置已导出');
+    this.logger.info('字体配置已导出');
   }
 
   /**